@@ -0,0 +1,173 @@
+/**
+ * Centralized Jules activity poller.
+ *
+ * Keeps at most one watcher per session no matter how many handlers ask for it.
+ * Each watcher polls on its own timer: the interval resets to the minimum when
+ * new activity arrives or when nudge() is called after user input, and backs off
+ * towards the maximum while the session is idle. A watcher runs until its
+ * handler asks to stop (e.g. on sessionCompleted) or stop() is called.
+ * Activities pushed through /webhooks/jules go through deliver() and share the
+ * watcher's seen IDs, so nothing is posted twice.
+ */
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'poller' });
+
+class ActivityPoller {
+    /**
+     * @param {object} options
+     * @param {(sessionId: string) => Promise<object[]>} options.fetchActivities every activity of a session
+     */
+    constructor({ fetchActivities, minInterval = 4000, maxInterval = 60000, backoffFactor = 1.5 }) {
+        this.fetchActivities = fetchActivities;
+        this.minInterval = minInterval;
+        this.maxInterval = maxInterval;
+        this.backoffFactor = backoffFactor;
+        this.watchers = new Map(); // sessionId -> watcher
+    }
+
+    /**
+     * Starts watching a session, or nudges the existing watcher if there is one.
+     * @param {string} sessionId
+     * @param {object} options
+     * @param {Iterable<string>} options.seenIds activity IDs that must not be reported
+     * @param {(activities: object[], watcher: object) => Promise<boolean|void>} options.onActivities
+     *        called with new activities; return true to stop watching
+     * @param {(watcher: object) => Promise<boolean|void>} [options.onIdle]
+     *        called after a poll without new activities; return true to stop watching
+     * @param {(err: Error, watcher: object) => Promise<boolean|void>} [options.onError]
+     *        called when fetching activities fails; return true to stop watching
+     * @param {object} [options.state] handler-owned state kept on the watcher
+     * @returns {object} the watcher
+     */
+    watch(sessionId, { seenIds = [], onActivities, onIdle = async () => {}, onError = async () => {}, state = {} }) {
+        const existing = this.watchers.get(sessionId);
+        if (existing) {
+            this.nudge(sessionId);
+            return existing;
+        }
+
+        const watcher = {
+            sessionId,
+            seenIds: new Set(seenIds),
+            interval: this.minInterval,
+            timer: null,
+            onActivities,
+            onIdle,
+            onError,
+            state
+        };
+        this.watchers.set(sessionId, watcher);
+        this.schedule(watcher);
+        log.info('Watching session', { sessionId, activeMonitors: this.watchers.size });
+        return watcher;
+    }
+
+    // Polls again soon, e.g. right after the user sent something to the session.
+    nudge(sessionId) {
+        const watcher = this.watchers.get(sessionId);
+        if (!watcher) return;
+        watcher.interval = this.minInterval;
+        if (watcher.timer) {
+            clearTimeout(watcher.timer);
+            this.schedule(watcher);
+        }
+    }
+
+    stop(sessionId) {
+        const watcher = this.watchers.get(sessionId);
+        if (!watcher) return;
+        clearTimeout(watcher.timer);
+        watcher.timer = null;
+        this.watchers.delete(sessionId);
+        log.info('Stopped watching session', { sessionId, activeMonitors: this.watchers.size });
+    }
+
+    /**
+     * Hands activities pushed by a webhook to the session's watcher as if it had
+     * polled them. Activities the watcher already saw are dropped.
+     * @returns {Promise<boolean>} false when nobody watches the session
+     */
+    async deliver(sessionId, activities) {
+        const watcher = this.watchers.get(sessionId);
+        if (!watcher) return false;
+
+        const newActivities = activities.filter(a => a.id && !watcher.seenIds.has(a.id));
+        if (newActivities.length === 0) return true;
+        newActivities.forEach(a => watcher.seenIds.add(a.id));
+
+        let shouldStop = false;
+        try {
+            shouldStop = await watcher.onActivities(newActivities, watcher);
+        } catch (err) {
+            log.error('Handling pushed activities failed', { sessionId, err });
+        }
+        if (shouldStop && this.watchers.get(sessionId) === watcher) {
+            this.stop(sessionId);
+        }
+        return true;
+    }
+
+    stopAll() {
+        for (const sessionId of [...this.watchers.keys()]) {
+            this.stop(sessionId);
+        }
+    }
+
+    isWatching(sessionId) {
+        return this.watchers.has(sessionId);
+    }
+
+    get size() {
+        return this.watchers.size;
+    }
+
+    get sessionIds() {
+        return [...this.watchers.keys()];
+    }
+
+    schedule(watcher) {
+        watcher.timer = setTimeout(() => {
+            watcher.timer = null;
+            this.tick(watcher);
+        }, watcher.interval);
+    }
+
+    async tick(watcher) {
+        let shouldStop = false;
+        let activities;
+        try {
+            activities = await this.fetchActivities(watcher.sessionId);
+        } catch (err) {
+            log.warn('Polling session failed', { sessionId: watcher.sessionId, status: err.status, error: err.message });
+            watcher.interval = Math.min(watcher.interval * this.backoffFactor, this.maxInterval);
+            shouldStop = await watcher.onError(err, watcher).catch(() => false);
+        }
+
+        if (activities) try {
+            const newActivities = activities.filter(a => !watcher.seenIds.has(a.id));
+            newActivities.forEach(a => watcher.seenIds.add(a.id));
+
+            if (newActivities.length > 0) {
+                watcher.interval = this.minInterval;
+                shouldStop = await watcher.onActivities(newActivities, watcher);
+            } else {
+                watcher.interval = Math.min(watcher.interval * this.backoffFactor, this.maxInterval);
+                shouldStop = await watcher.onIdle(watcher);
+            }
+        } catch (err) {
+            log.error('Handling activities failed', { sessionId: watcher.sessionId, err });
+        }
+
+        // stop() may have been called while this tick was running
+        if (this.watchers.get(watcher.sessionId) !== watcher) return;
+        if (shouldStop) {
+            this.stop(watcher.sessionId);
+        } else if (!watcher.timer) {
+            this.schedule(watcher);
+        }
+    }
+}
+
+module.exports = { ActivityPoller };
@@ -0,0 +1,165 @@
+/**
+ * Discord attachments -> text for Jules prompts.
+ *
+ * Jules only takes text, so attachments are turned into prompt sections:
+ *   - text files (logs, diffs, source, config) are inlined in a code fence.
+ *     Files over maxFileChars keep their beginning and end (where stack traces
+ *     and the last log lines are) and the middle is cut out.
+ *   - images are described by the LLM provider. When it cannot (local provider,
+ *     errors) the image URL is passed through so Jules at least sees the link.
+ *   - file contents, image descriptions and links share maxTotalChars; once it is
+ *     used up the remaining attachments are skipped.
+ *   - anything else, and files over maxDownloadBytes, is skipped.
+ * collect() reports what was included and skipped so the bot can confirm it.
+ */
+
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const { logger } = require('./logger');
+const { fence } = require('./markdown');
+
+const log = logger.child({ component: 'attachments' });
+
+const TEXT_EXTENSIONS = new Set([
+    'txt', 'log', 'md', 'diff', 'patch', 'json', 'yaml', 'yml', 'toml', 'xml', 'csv', 'ini', 'cfg', 'conf',
+    'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'swift', 'c', 'h', 'cpp', 'hpp',
+    'cs', 'php', 'sh', 'bash', 'sql', 'html', 'css', 'scss', 'vue', 'svelte', 'gradle', 'properties'
+]);
+const TEXT_CONTENT_TYPES = ['application/json', 'application/xml', 'application/x-yaml', 'application/yaml', 'application/javascript', 'application/x-sh'];
+const IMAGE_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'gif', 'webp']);
+// Code fence languages that differ from the file extension
+const FENCE_LANGUAGES = { txt: '', log: '', patch: 'diff', yml: 'yaml', mjs: 'js', cjs: 'js' };
+
+function extensionOf(name) {
+    const match = /\.([^./]+)$/.exec(name || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+// "text", "image" or null for an attachment ({ name, contentType })
+function attachmentKind({ name, contentType }) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    const extension = extensionOf(name);
+    if (type.startsWith('image/') || IMAGE_EXTENSIONS.has(extension)) return 'image';
+    if (type.startsWith('text/') || TEXT_CONTENT_TYPES.includes(type) || TEXT_EXTENSIONS.has(extension)) return 'text';
+    return null;
+}
+
+// Keeps the start and the end of long text
+function truncateMiddle(text, limit) {
+    if (text.length <= limit) return text;
+    const marker = `\n… [${text.length - limit} characters omitted] …\n`;
+    const head = Math.ceil((limit - marker.length) * 0.6);
+    const tail = limit - marker.length - head;
+    return text.slice(0, head) + marker + text.slice(text.length - tail);
+}
+
+class AttachmentCollector {
+    /**
+     * @param {object} options
+     * @param {(image: { data: Buffer, mimeType: string, name: string }) => Promise<string|null>} options.describeImage
+     */
+    constructor({
+        describeImage,
+        fetchImpl = fetch,
+        maxDownloadBytes = 1024 * 1024,
+        maxImageBytes = 4 * 1024 * 1024,
+        maxFileChars = 20000,
+        maxTotalChars = 50000
+    }) {
+        this.describeImage = describeImage;
+        this.fetch = fetchImpl;
+        this.maxDownloadBytes = maxDownloadBytes;
+        this.maxImageBytes = maxImageBytes;
+        this.maxFileChars = maxFileChars;
+        this.maxTotalChars = maxTotalChars;
+    }
+
+    /**
+     * @param {Iterable<{ name: string, url: string, size: number, contentType?: string }>} attachments
+     * @returns {Promise<{ sections: string[], included: { name: string, note: string|null }[], skipped: { name: string, reason: string }[] }>}
+     *          notes: "truncated", "described", "linked"; reasons: "tooLarge", "unsupported", "failed"
+     */
+    async collect(attachments) {
+        const result = { sections: [], included: [], skipped: [] };
+        let remaining = this.maxTotalChars;
+
+        for (const attachment of attachments) {
+            const { name } = attachment;
+            const kind = attachmentKind(attachment);
+            if (!kind) {
+                result.skipped.push({ name, reason: 'unsupported' });
+                continue;
+            }
+
+            try {
+                if (kind === 'image') {
+                    if (remaining <= 0) {
+                        result.skipped.push({ name, reason: 'tooLarge' });
+                        continue;
+                    }
+                    const section = await this.imageSection(attachment, remaining);
+                    remaining -= section.length;
+                    result.sections.push(section.text);
+                    result.included.push({ name, note: section.note });
+                    continue;
+                }
+
+                const budget = Math.min(this.maxFileChars, remaining);
+                if (attachment.size > this.maxDownloadBytes || budget <= 0) {
+                    result.skipped.push({ name, reason: 'tooLarge' });
+                    continue;
+                }
+                const text = (await this.download(attachment)).toString('utf8');
+                if (text.includes('\u0000')) {
+                    result.skipped.push({ name, reason: 'unsupported' });
+                    continue;
+                }
+                const body = truncateMiddle(text, budget);
+                remaining -= body.length;
+                const extension = extensionOf(name);
+                const language = extension in FENCE_LANGUAGES ? FENCE_LANGUAGES[extension] : extension;
+                const heading = body.length < text.length
+                    ? `Attached file: ${name} (truncated to ${body.length} of ${text.length} characters)`
+                    : `Attached file: ${name}`;
+                result.sections.push(`${heading}\n${fence(body, language)}`);
+                result.included.push({ name, note: body.length < text.length ? 'truncated' : null });
+            } catch (err) {
+                log.warn('Failed to read attachment', { name, err });
+                result.skipped.push({ name, reason: 'failed' });
+            }
+        }
+        return result;
+    }
+
+    // { text, note, length }: length is what counts against maxTotalChars
+    async imageSection(attachment, budget) {
+        const { name, url, size, contentType } = attachment;
+        let description = null;
+        if (size <= this.maxImageBytes) {
+            try {
+                const data = await this.download(attachment);
+                const mimeType = (contentType || `image/${extensionOf(name).replace('jpg', 'jpeg')}`).split(';')[0];
+                description = await this.describeImage({ data, mimeType, name });
+            } catch (err) {
+                log.warn('Failed to describe image', { name, err });
+            }
+        }
+        if (description) {
+            const body = description.length > budget ? `${description.slice(0, budget - 1)}…` : description;
+            return { text: `Attached image: ${name}\nDescription of the image: ${body}`, note: 'described', length: body.length };
+        }
+        return { text: `Attached image: ${name} (not described; link: ${url})`, note: 'linked', length: url.length };
+    }
+
+    async download({ url }) {
+        const response = await this.fetch(url);
+        if (!response.ok) throw new Error(`Download failed (${response.status})`);
+        return Buffer.from(await response.arrayBuffer());
+    }
+}
+
+// The user's prompt followed by the attachment sections
+function appendAttachments(prompt, sections) {
+    return sections.length === 0 ? prompt : [prompt, ...sections].filter(Boolean).join('\n\n');
+}
+
+module.exports = { AttachmentCollector, appendAttachments, attachmentKind, truncateMiddle };
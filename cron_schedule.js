@@ -0,0 +1,147 @@
+/**
+ * Minimal cron for the wake/sleep schedules.
+ *
+ * Expressions have the usual five fields (minute hour day-of-month month
+ * day-of-week) with `*`, lists, ranges and steps, e.g. "0 9 * * 1-5". Day of
+ * week 0 and 7 are both Sunday; as in cron, a job whose day-of-month and
+ * day-of-week are both restricted runs when either matches. Times are read in
+ * the scheduler's time zone (IANA name, default UTC).
+ */
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'cron' });
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) throw new Error(`Invalid cron ${name} "${part}"`);
+
+        const [, , start, end, step] = match;
+        const from = start === undefined ? min : Number(start);
+        const to = end !== undefined ? Number(end) : (start === undefined || step ? max : from);
+        const by = step ? Number(step) : 1;
+        if (from < min || to > max || from > to || by < 1) throw new Error(`Invalid cron ${name} "${part}"`);
+
+        for (let value = from; value <= to; value += by) values.add(value);
+    }
+    return values;
+}
+
+class CronSchedule {
+    constructor(expression) {
+        const parts = expression.trim().split(/\s+/);
+        if (parts.length !== FIELDS.length) {
+            throw new Error(`Cron expression "${expression}" needs ${FIELDS.length} fields`);
+        }
+        this.expression = expression;
+        [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] =
+            parts.map((part, i) => parseField(part, FIELDS[i]));
+        if (this.daysOfWeek.has(7)) this.daysOfWeek.add(0);
+        this.anyDayOfMonth = parts[2] === '*';
+        this.anyDayOfWeek = parts[4] === '*';
+    }
+
+    matches(date, timeZone = 'UTC') {
+        const { minute, hour, day, month, weekday } = dateParts(date, timeZone);
+        if (!this.minutes.has(minute) || !this.hours.has(hour) || !this.months.has(month)) return false;
+
+        const dayOfMonth = this.daysOfMonth.has(day);
+        const dayOfWeek = this.daysOfWeek.has(weekday);
+        if (this.anyDayOfMonth || this.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+        return dayOfMonth || dayOfWeek;
+    }
+}
+
+function dateParts(date, timeZone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        minute: 'numeric',
+        hour: 'numeric',
+        day: 'numeric',
+        month: 'numeric',
+        weekday: 'short'
+    });
+    for (const { type, value } of formatter.formatToParts(date)) parts[type] = value;
+    return {
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        day: Number(parts.day),
+        month: Number(parts.month),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+/**
+ * Runs jobs whose schedule matches, checked once at the start of every minute.
+ * Timers are unref'd so a scheduler never keeps the process alive by itself.
+ */
+class CronScheduler {
+    constructor({ timeZone = 'UTC' } = {}) {
+        // Fails fast on a bad time zone name instead of at the first tick
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        this.timeZone = timeZone;
+        this.jobs = [];
+        this.timer = null;
+    }
+
+    /**
+     * @param {string} name for logs
+     * @param {string} expression five-field cron expression
+     * @param {() => Promise<void>} run
+     */
+    add(name, expression, run) {
+        this.jobs.push({ name, schedule: new CronSchedule(expression), run });
+        return this;
+    }
+
+    start() {
+        if (this.timer || this.jobs.length === 0) return;
+        this.schedule();
+        log.info('Cron scheduler started', {
+            timeZone: this.timeZone,
+            jobs: this.jobs.map(job => `${job.name}: ${job.schedule.expression}`)
+        });
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    schedule() {
+        const delay = 60000 - (Date.now() % 60000);
+        this.timer = setTimeout(() => {
+            this.tick(new Date());
+            this.schedule();
+        }, delay);
+        this.timer.unref();
+    }
+
+    async tick(now) {
+        for (const job of this.jobs) {
+            if (!job.schedule.matches(now, this.timeZone)) continue;
+            log.info('Running scheduled job', { job: job.name });
+            try {
+                await job.run();
+            } catch (err) {
+                log.error('Scheduled job failed', { job: job.name, err });
+            }
+        }
+    }
+}
+
+module.exports = { CronSchedule, CronScheduler };
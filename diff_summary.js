@@ -0,0 +1,96 @@
+/**
+ * Unified diff parsing for Jules change-set (git patch) artifacts.
+ *
+ * parseUnifiedDiff() returns one entry per file:
+ * { path, oldPath, status: 'added' | 'deleted' | 'renamed' | 'modified', additions, deletions, binary }
+ * Hunk headers are used to count lines, so removed lines that happen to start
+ * with "---" are not mistaken for file headers.
+ */
+
+function stripPathPrefix(raw) {
+    const p = raw.split('\t')[0].trim();
+    if (p === '/dev/null') return null;
+    return p.replace(/^[ab]\//, '');
+}
+
+function parseUnifiedDiff(patch) {
+    const files = [];
+    let current = null;
+    let headerDone = false;
+    let oldRemaining = 0;
+    let newRemaining = 0;
+
+    const startFile = (oldPath, newPath) => {
+        current = { path: newPath || oldPath, oldPath, status: 'modified', additions: 0, deletions: 0, binary: false };
+        headerDone = false;
+        files.push(current);
+    };
+
+    for (const line of (patch || '').split('\n')) {
+        if (oldRemaining > 0 || newRemaining > 0) {
+            if (line.startsWith('+')) {
+                current.additions++;
+                newRemaining--;
+            } else if (line.startsWith('-')) {
+                current.deletions++;
+                oldRemaining--;
+            } else if (!line.startsWith('\\')) { // "\ No newline at end of file"
+                oldRemaining--;
+                newRemaining--;
+            }
+            continue;
+        }
+
+        if (line.startsWith('diff --git ')) {
+            const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+            startFile(match ? match[1] : null, match ? match[2] : null);
+        } else if (line.startsWith('--- ')) {
+            if (!current || headerDone) startFile(null, null);
+            const oldPath = stripPathPrefix(line.slice(4));
+            if (oldPath === null) current.status = 'added';
+            else current.oldPath = oldPath;
+        } else if (line.startsWith('+++ ') && current) {
+            const newPath = stripPathPrefix(line.slice(4));
+            if (newPath === null) {
+                current.status = 'deleted';
+                current.path = current.oldPath;
+            } else {
+                current.path = newPath;
+            }
+            headerDone = true;
+        } else if (line.startsWith('@@') && current) {
+            const match = line.match(/^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/);
+            if (match) {
+                oldRemaining = match[1] !== undefined ? parseInt(match[1], 10) : 1;
+                newRemaining = match[2] !== undefined ? parseInt(match[2], 10) : 1;
+            }
+            headerDone = true;
+        } else if (!current) {
+            continue;
+        } else if (line.startsWith('new file mode')) {
+            current.status = 'added';
+        } else if (line.startsWith('deleted file mode')) {
+            current.status = 'deleted';
+        } else if (line.startsWith('rename from ')) {
+            current.status = 'renamed';
+            current.oldPath = line.slice('rename from '.length);
+        } else if (line.startsWith('rename to ')) {
+            current.status = 'renamed';
+            current.path = line.slice('rename to '.length);
+        } else if (line.startsWith('Binary files ') || line.startsWith('GIT binary patch')) {
+            current.binary = true;
+        }
+    }
+
+    return files.filter(f => f.path);
+}
+
+function summarizeDiff(files) {
+    return {
+        files: files.length,
+        additions: files.reduce((sum, f) => sum + f.additions, 0),
+        deletions: files.reduce((sum, f) => sum + f.deletions, 0)
+    };
+}
+
+module.exports = { parseUnifiedDiff, summarizeDiff };
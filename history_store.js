@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { moveAside } = require('./store_files');
+
+const log = logger.child({ component: 'store' });
+
+/**
+ * Session history.
+ *
+ * The session store only knows which session each channel is bound to right now;
+ * /jules end, /jules switch and new sessions overwrite that. The history keeps one
+ * entry per Jules session the bot has worked with, for /jules history and audits:
+ * {
+ *     sessionId: string,
+ *     channelId: string,       // channel (or thread) the session posted to
+ *     parentChannelId: string, // set when channelId is a session thread
+ *     guildId: string,
+ *     source: string,
+ *     creatorId: string,
+ *     prompt: string,          // as typed in Discord, before translation
+ *     status: string,          // running, completed, failed, rejected or ended
+ *     stillRunning: boolean,   // rejected or ended, but Jules has not finished it yet
+ *     pullRequestUrl: string,
+ *     startedAt: string,       // ISO timestamps
+ *     endedAt: string
+ * }
+ *
+ * Stored as { sessions: { [sessionId]: entry } }; the oldest entries are dropped
+ * beyond HISTORY_MAX_ENTRIES (default 1000).
+ */
+class FileHistoryStore {
+    constructor(filePath, maxEntries = 1000) {
+        this.filePath = filePath;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            this.entries = new Map(Object.entries(JSON.parse(raw).sessions || {}));
+        } catch (err) {
+            this.entries = new Map();
+            if (err.code === 'ENOENT') return;
+            await moveAside(this.filePath, err);
+            throw err;
+        }
+    }
+
+    async get(sessionId) {
+        return this.entries.get(sessionId) || null;
+    }
+
+    // Creates or shallow-merges an entry; startedAt is set on creation.
+    async record(sessionId, patch) {
+        const existing = this.entries.get(sessionId);
+        const entry = {
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            ...existing,
+            ...patch,
+            sessionId
+        };
+        this.entries.set(sessionId, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.oldestSessionId());
+        }
+        await this.save();
+        return entry;
+    }
+
+    // Merges into an existing entry only; returns null for unknown sessions.
+    async update(sessionId, patch) {
+        if (!this.entries.has(sessionId)) return null;
+        return this.record(sessionId, patch);
+    }
+
+    // Sessions Jules is still working on; these count against the concurrency limits.
+    async running() {
+        return Array.from(this.entries.values()).filter(e => e.status === 'running' || e.stillRunning);
+    }
+
+    // Newest first. channelId also matches session threads created from that channel.
+    async list({ guildId, channelId, userId, limit = 20 } = {}) {
+        return Array.from(this.entries.values())
+            .filter(e => !guildId || e.guildId === guildId)
+            .filter(e => !channelId || e.channelId === channelId || e.parentChannelId === channelId)
+            .filter(e => !userId || e.creatorId === userId)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+            .slice(0, limit);
+    }
+
+    oldestSessionId() {
+        let oldest = null;
+        for (const entry of this.entries.values()) {
+            if (!oldest || entry.startedAt < oldest.startedAt) oldest = entry;
+        }
+        return oldest.sessionId;
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue.then(async () => {
+            const data = JSON.stringify({ sessions: Object.fromEntries(this.entries) }, null, 2);
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, data);
+            await fs.promises.rename(tmpPath, this.filePath);
+        }).catch(err => {
+            log.error('Failed to save history store', { filePath: this.filePath, err });
+        });
+        return this.writeQueue;
+    }
+}
+
+function createHistoryStore() {
+    const filePath = process.env.HISTORY_STORE_PATH || path.join(__dirname, 'data', 'history.json');
+    return new FileHistoryStore(filePath, parseInt(process.env.HISTORY_MAX_ENTRIES || "1000", 10));
+}
+
+module.exports = { FileHistoryStore, createHistoryStore };
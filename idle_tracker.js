@@ -0,0 +1,79 @@
+/**
+ * Puts the bot to sleep when nobody uses it.
+ *
+ * touch() records activity (a mention, a command) and the channel it came from.
+ * While isBusy() reports running sessions the bot counts as active, so the idle
+ * time starts when the last session finishes. After idleMs - warningMs without
+ * activity onWarning is called once with the last active channel; after idleMs
+ * onIdle is called and the tracker stops until start() is called again.
+ */
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'idle' });
+
+class IdleTracker {
+    /**
+     * @param {object} options
+     * @param {number} options.idleMs 0 disables the tracker
+     * @param {number} [options.warningMs] how long before sleeping to warn
+     * @param {() => Promise<boolean>} options.isBusy
+     * @param {(channelId: string|null, remainingMs: number) => Promise<void>} options.onWarning
+     * @param {() => Promise<void>} options.onIdle
+     */
+    constructor({ idleMs, warningMs = 5 * 60000, checkIntervalMs = 30000, isBusy, onWarning, onIdle }) {
+        this.idleMs = idleMs;
+        this.warningMs = Math.min(warningMs, idleMs);
+        this.checkIntervalMs = checkIntervalMs;
+        this.isBusy = isBusy;
+        this.onWarning = onWarning;
+        this.onIdle = onIdle;
+        this.lastActivityAt = Date.now();
+        this.lastChannelId = null;
+        this.warned = false;
+        this.timer = null;
+    }
+
+    get enabled() {
+        return this.idleMs > 0;
+    }
+
+    start() {
+        if (!this.enabled || this.timer) return;
+        this.touch();
+        this.timer = setInterval(() => {
+            this.check().catch(err => log.error('Idle check failed', { err }));
+        }, this.checkIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    touch(channelId) {
+        this.lastActivityAt = Date.now();
+        this.warned = false;
+        if (channelId) this.lastChannelId = channelId;
+    }
+
+    async check(now = Date.now()) {
+        if (await this.isBusy()) {
+            this.touch();
+            return;
+        }
+
+        const idleFor = now - this.lastActivityAt;
+        if (idleFor >= this.idleMs) {
+            log.info('Idle, going to sleep', { idleMs: idleFor });
+            this.stop();
+            await this.onIdle();
+        } else if (!this.warned && idleFor >= this.idleMs - this.warningMs) {
+            this.warned = true;
+            await this.onWarning(this.lastChannelId, this.idleMs - idleFor);
+        }
+    }
+}
+
+module.exports = { IdleTracker };
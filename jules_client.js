@@ -0,0 +1,238 @@
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'jules-client' });
+
+/**
+ * Jules API client (v1alpha).
+ *
+ * - Every failure is a JulesApiError carrying the HTTP status (0 for network
+ *   errors and timeouts), so callers check `err.status === 404` instead of
+ *   matching message text.
+ * - 429 responses are retried for every request; 5xx, network errors and
+ *   timeouts only for GETs, so a slow POST never creates a session twice.
+ *   Retries back off exponentially and honour Retry-After.
+ * - list* methods return one page; iterate* methods are async iterators over
+ *   every page; listAll* collect an iterator into an array.
+ */
+
+/**
+ * @typedef {Object} Source
+ * @property {string} name            e.g. "sources/github/owner/repo"
+ * @property {string} id
+ * @property {{ owner: string, repo: string, name?: string }} [githubRepo]
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} name            e.g. "sessions/123"
+ * @property {string} id
+ * @property {string} [title]
+ * @property {string} [prompt]
+ * @property {string} [state]         QUEUED, PLANNING, AWAITING_PLAN_APPROVAL, IN_PROGRESS, COMPLETED, FAILED, ...
+ * @property {string} [url]
+ * @property {{ source: string, githubRepoContext?: { startingBranch?: string } }} [sourceContext]
+ * @property {Array<{ pullRequest?: { url: string, title?: string, description?: string } }>} [outputs]
+ * @property {string} [createTime]
+ * @property {string} [updateTime]
+ */
+
+/**
+ * @typedef {Object} Activity
+ * @property {string} name
+ * @property {string} id
+ * @property {string} [originator]    "user" | "agent" | "system"
+ * @property {string} [createTime]
+ * @property {Object} [planGenerated]
+ * @property {Object} [progressUpdated]
+ * @property {Object} [agentMessaged]
+ * @property {Object} [userMessaged]
+ * @property {Object} [planApproved]
+ * @property {Object} [sessionCompleted]
+ * @property {Object} [sessionFailed]
+ * @property {Array<Object>} [outputs]
+ * @property {Array<Object>} [artifacts]
+ */
+
+class JulesApiError extends Error {
+    /**
+     * @param {string} operation e.g. "CreateSession"
+     * @param {number} status HTTP status, 0 when no response was received
+     * @param {string} body response body or underlying error message
+     */
+    constructor(operation, status, body) {
+        super(`${operation} Failed${status ? ` (${status})` : ''}: ${body}`);
+        this.name = 'JulesApiError';
+        this.operation = operation;
+        this.status = status;
+        this.body = body;
+    }
+
+    get retryable() {
+        return this.status === 0 || this.status === 429 || this.status >= 500;
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class JulesClient {
+    constructor({
+        apiKey,
+        baseUrl = 'https://jules.googleapis.com/v1alpha',
+        timeoutMs = 30000,
+        maxRetries = 3,
+        retryBaseDelayMs = 500,
+        fetchImpl = fetch,
+        onError = () => {} // called with every failed attempt, e.g. for metrics
+    }) {
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.timeoutMs = timeoutMs;
+        this.maxRetries = maxRetries;
+        this.retryBaseDelayMs = retryBaseDelayMs;
+        this.fetch = fetchImpl;
+        this.onError = onError;
+    }
+
+    // `retry: false` and `timeoutMs` are for probes that must answer quickly.
+    async request(operation, method, path, { body, query, retry = true, timeoutMs = this.timeoutMs } = {}) {
+        const url = new URL(`${this.baseUrl}/${path}`);
+        for (const [key, value] of Object.entries(query || {})) {
+            if (value !== undefined && value !== null) url.searchParams.set(key, value);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            let retryAfterMs = null;
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await this.fetch(url.toString(), {
+                    method,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Goog-Api-Key': this.apiKey
+                    },
+                    body: body === undefined ? undefined : JSON.stringify(body),
+                    signal: controller.signal
+                });
+                if (response.ok) {
+                    const text = await response.text();
+                    return text ? JSON.parse(text) : {};
+                }
+                error = new JulesApiError(operation, response.status, await response.text());
+                const retryAfter = response.headers.get('retry-after');
+                if (retryAfter && !isNaN(Number(retryAfter))) retryAfterMs = Number(retryAfter) * 1000;
+            } catch (err) {
+                const reason = err.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : err.message;
+                error = new JulesApiError(operation, 0, reason);
+            } finally {
+                clearTimeout(timer);
+            }
+
+            this.onError(error, { attempt });
+            const canRetry = retry && (error.status === 429 || (method === 'GET' && error.retryable));
+            if (!canRetry || attempt >= this.maxRetries) throw error;
+
+            const backoff = this.retryBaseDelayMs * 2 ** attempt;
+            const delay = retryAfterMs !== null ? retryAfterMs : backoff + Math.random() * backoff / 2;
+            log.warn('Jules request failed, retrying', {
+                operation,
+                status: error.status || 'network error',
+                delayMs: Math.round(delay),
+                attempt: attempt + 1,
+                maxRetries: this.maxRetries
+            });
+            await sleep(delay);
+        }
+    }
+
+    async *paginate(fetchPage, key) {
+        let pageToken = null;
+        do {
+            const data = await fetchPage(pageToken);
+            for (const item of data[key] || []) yield item;
+            pageToken = data.nextPageToken || null;
+        } while (pageToken);
+    }
+
+    async collect(iterator) {
+        const items = [];
+        for await (const item of iterator) items.push(item);
+        return items;
+    }
+
+    // Cheapest authenticated call; used by /readyz.
+    ping(timeoutMs = 5000) {
+        return this.request('Ping', 'GET', 'sources', { query: { pageSize: 1 }, retry: false, timeoutMs });
+    }
+
+    // --- Sources ---
+
+    /** @returns {Promise<{ sources?: Source[], nextPageToken?: string }>} */
+    listSources({ pageToken, pageSize } = {}) {
+        return this.request('ListSources', 'GET', 'sources', { query: { pageToken, pageSize } });
+    }
+
+    /** @returns {AsyncGenerator<Source>} */
+    iterateSources() {
+        return this.paginate(pageToken => this.listSources({ pageToken }), 'sources');
+    }
+
+    /** @returns {Promise<Source[]>} */
+    listAllSources() {
+        return this.collect(this.iterateSources());
+    }
+
+    // --- Sessions ---
+
+    /** @returns {Promise<Session>} */
+    createSession(body) {
+        return this.request('CreateSession', 'POST', 'sessions', { body });
+    }
+
+    /**
+     * @param {{ retry?: boolean, timeoutMs?: number }} [options] for lookups that must answer quickly
+     * @returns {Promise<Session>}
+     */
+    getSession(sessionName, { retry, timeoutMs } = {}) {
+        return this.request('GetSession', 'GET', sessionName, { retry, timeoutMs });
+    }
+
+    /** @returns {Promise<{ sessions?: Session[], nextPageToken?: string }>} */
+    listSessions({ pageToken, pageSize } = {}) {
+        return this.request('ListSessions', 'GET', 'sessions', { query: { pageToken, pageSize } });
+    }
+
+    /** @returns {AsyncGenerator<Session>} */
+    iterateSessions() {
+        return this.paginate(pageToken => this.listSessions({ pageToken }), 'sessions');
+    }
+
+    sendMessage(sessionName, prompt) {
+        return this.request('SendMessage', 'POST', `${sessionName}:sendMessage`, { body: { prompt } });
+    }
+
+    approvePlan(sessionName) {
+        return this.request('ApprovePlan', 'POST', `${sessionName}:approvePlan`, { body: {} });
+    }
+
+    // --- Activities ---
+
+    /** @returns {Promise<{ activities?: Activity[], nextPageToken?: string }>} */
+    listActivities(sessionName, { pageToken, pageSize = 100 } = {}) {
+        return this.request('ListActivities', 'GET', `${sessionName}/activities`, { query: { pageToken, pageSize } });
+    }
+
+    /** @returns {AsyncGenerator<Activity>} */
+    iterateActivities(sessionName) {
+        return this.paginate(pageToken => this.listActivities(sessionName, { pageToken }), 'activities');
+    }
+
+    /** @returns {Promise<Activity[]>} */
+    listAllActivities(sessionName) {
+        return this.collect(this.iterateActivities(sessionName));
+    }
+}
+
+module.exports = { JulesClient, JulesApiError };
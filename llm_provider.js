@@ -0,0 +1,238 @@
+const { GoogleGenerativeAI, SchemaType } = require('@google/generative-ai');
+const { PLACEHOLDER_INSTRUCTION } = require('./translation_pipeline');
+const { format: t } = require('./personas');
+const { sourceLabel, escapeRegExp } = require('./source_registry');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'llm' });
+
+/**
+ * LLM provider interface
+ *
+ * Every provider exposes:
+ *   name                                          -> string shown in /wake
+ *   translate(text, { from, to })                 -> Promise<string|null>
+ *   personaRewrite(text, persona)                 -> Promise<string|null>   Jules output in the persona's voice
+ *   pickSource(userMessage, sources, persona)     -> Promise<{ matchIndex: number|null, reply: string|null }>
+ *   describeImage({ data, mimeType, name })       -> Promise<string|null>   English description of an attached image
+ *
+ * `from`/`to` and persona.languageName are language names ("Japanese", "English").
+ * Text handed to translate/personaRewrite may contain [[KEEP_n]] placeholders
+ * from the translation pipeline; providers must leave them untouched. A provider
+ * that cannot translate resolves to null and the caller keeps the original text.
+ *
+ * createLLMProvider() picks the backend from LLM_PROVIDER ("gemini" or "local",
+ * default: gemini when GEMINI_API_KEY is set) and wraps Gemini so that any error
+ * or timeout falls back to the local rule-based provider.
+ */
+
+// Validates pickSource output against the schema and the number of sources.
+function validateSourceDecision(value, sourceCount) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Source decision must be an object');
+    }
+    const { matchIndex = null, reply = null } = value;
+    if (matchIndex !== null && (!Number.isInteger(matchIndex) || matchIndex < 0 || matchIndex >= sourceCount)) {
+        throw new Error(`Source decision has an invalid matchIndex: ${JSON.stringify(matchIndex)}`);
+    }
+    if (reply !== null && typeof reply !== 'string') {
+        throw new Error('Source decision reply must be a string or null');
+    }
+    if (matchIndex === null && !reply) {
+        throw new Error('Source decision needs a matchIndex or a reply');
+    }
+    return { matchIndex, reply };
+}
+
+const SOURCE_DECISION_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        matchIndex: { type: SchemaType.INTEGER, nullable: true },
+        reply: { type: SchemaType.STRING, nullable: true }
+    },
+    required: ['matchIndex', 'reply']
+};
+
+// --- Gemini ---
+class GeminiProvider {
+    constructor({ apiKey, model = "gemini-2.5-flash", timeoutMs = 20000, onRequest = () => {} }) {
+        this.genAI = new GoogleGenerativeAI(apiKey);
+        this.modelName = model;
+        this.timeoutMs = timeoutMs;
+        this.name = model;
+        this.onRequest = onRequest; // ({ operation, model, seconds, ok }) after every call, for metrics
+    }
+
+    async generate(operation, prompt, generationConfig = undefined) {
+        const model = this.genAI.getGenerativeModel(
+            { model: this.modelName, generationConfig },
+            { timeout: this.timeoutMs }
+        );
+        const startedAt = process.hrtime.bigint();
+        let ok = false;
+        try {
+            const result = await model.generateContent(prompt); // a string, or an array of parts
+            ok = true;
+            return result.response.text().trim();
+        } finally {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            this.onRequest({ operation, model: this.modelName, seconds, ok });
+        }
+    }
+
+    async translate(text, { from, to }) {
+        const prompt = `Translate the following ${from} text to ${to}. If it is already ${to}, return it as is. ${PLACEHOLDER_INSTRUCTION} Output only the translation:\n\n${text}`;
+        return this.generate('translate', prompt);
+    }
+
+    async personaRewrite(text, persona) {
+        const rules = [
+            "Keep the persona consistent.",
+            PLACEHOLDER_INSTRUCTION,
+            `Keep technical terms (like "npm install", "Pull Request", "React") as appropriate for a developer chat in ${persona.languageName}.`,
+            "If the text is a log output, keep it mostly as is, just add a short in-character comment at the start.",
+            ...persona.promptRules
+        ];
+        const prompt = `Translate the following text to ${persona.languageName}. The speaker is ${persona.description}.
+
+        Rules:
+        ${rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n        ')}
+
+        Text to translate:
+        \n\n${text}`;
+        return this.generate('personaRewrite', prompt);
+    }
+
+    async pickSource(userMessage, sources, persona) {
+        const sourcesList = sources.map((s, i) => `${i}. ${s.name} (Repo: ${sourceLabel(s)})`).join('\n');
+
+        const prompt = `
+        You are a setup assistant for a coding bot.
+        The user wants to start a session but needs to select a source repository first.
+
+        Available Sources:
+        ${sourcesList}
+
+        User Message: "${userMessage}"
+
+        Task:
+        1. If the user's message clearly identifies a specific source (by name, number, or description like "the chat app"), return the index (0-based) of that source.
+        2. If the user's message is generic (e.g. "hi", "start", "help me code") or ambiguous, generate a polite, conversational reply asking them to specify which repository to work on. List the options in your reply naturally.
+        3. If the user asks a general question not related to coding or sources, try to guide them to pick a source first.
+
+        Constraint: The 'reply' must be in ${persona.languageName}. The persona is ${persona.description}.
+        Set matchIndex to null when you reply, and reply to null when you pick a source.
+        `;
+
+        const responseText = await this.generate('pickSource', prompt, {
+            responseMimeType: 'application/json',
+            responseSchema: SOURCE_DECISION_SCHEMA
+        });
+        return validateSourceDecision(JSON.parse(responseText), sources.length);
+    }
+
+    async describeImage({ data, mimeType, name }) {
+        const prompt = `The image "${name}" was attached to a request for a coding agent that cannot see images. Describe it in English so the agent can act on it: transcribe any error messages, logs or code exactly, and describe the UI state, layout problems or diagrams it shows. Output only the description.`;
+        return this.generate('describeImage', [prompt, { inlineData: { data: data.toString('base64'), mimeType } }]);
+    }
+}
+
+// --- Local rule-based provider (no network) ---
+class LocalProvider {
+    constructor() {
+        this.name = 'local';
+    }
+
+    // Without a model there is nothing to translate; callers keep the original text.
+    async translate() {
+        return null;
+    }
+
+    async personaRewrite() {
+        return null;
+    }
+
+    async describeImage() {
+        return null;
+    }
+
+    // Matches "owner/repo", the repo name or a 1-based number from the listed options.
+    async pickSource(userMessage, sources, persona) {
+        const message = userMessage.toLowerCase();
+
+        const byName = sources
+            .map((source, index) => ({
+                index,
+                label: sourceLabel(source).toLowerCase(),
+                repo: source.name.split('/').pop().toLowerCase()
+            }))
+            .sort((a, b) => b.label.length - a.label.length)
+            .find(({ label, repo }) => message.includes(label) || new RegExp(`\\b${escapeRegExp(repo)}\\b`).test(message));
+        if (byName) return { matchIndex: byName.index, reply: null };
+
+        const number = message.match(/^\s*#?(\d+)\s*$/);
+        if (number) {
+            const index = parseInt(number[1], 10) - 1;
+            if (index >= 0 && index < sources.length) return { matchIndex: index, reply: null };
+        }
+
+        const options = sources.map((s, i) => `${i + 1}. ${sourceLabel(s)}`).join('\n');
+        return { matchIndex: null, reply: `${t(persona, 'askRepository')}\n${options}` };
+    }
+}
+
+// Uses the primary provider and falls back to the local one on any error.
+class FallbackProvider {
+    constructor(primary, fallback) {
+        this.primary = primary;
+        this.fallback = fallback;
+        this.name = primary.name;
+    }
+
+    async call(method, args) {
+        try {
+            return await this.primary[method](...args);
+        } catch (err) {
+            log.error('LLM call failed, using fallback', { method, provider: this.primary.name, fallback: this.fallback.name, err });
+            return this.fallback[method](...args);
+        }
+    }
+
+    translate(...args) {
+        return this.call('translate', args);
+    }
+
+    personaRewrite(...args) {
+        return this.call('personaRewrite', args);
+    }
+
+    pickSource(...args) {
+        return this.call('pickSource', args);
+    }
+
+    describeImage(...args) {
+        return this.call('describeImage', args);
+    }
+}
+
+function createLLMProvider({
+    provider = process.env.LLM_PROVIDER,
+    apiKey = process.env.GEMINI_API_KEY,
+    model = process.env.GEMINI_MODEL,
+    timeoutMs = parseInt(process.env.GEMINI_TIMEOUT_MS || "20000", 10),
+    onRequest
+} = {}) {
+    const local = new LocalProvider();
+    const selected = provider || (apiKey ? 'gemini' : 'local');
+    if (selected === 'local') return local;
+    if (selected !== 'gemini') throw new Error(`Unknown LLM_PROVIDER: ${selected}`);
+    return new FallbackProvider(new GeminiProvider({ apiKey, model: model || undefined, timeoutMs, onRequest }), local);
+}
+
+module.exports = {
+    GeminiProvider,
+    LocalProvider,
+    FallbackProvider,
+    createLLMProvider,
+    validateSourceDecision
+};
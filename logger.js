@@ -0,0 +1,74 @@
+/**
+ * Structured logging.
+ *
+ * Every line is one JSON object using the field names Cloud Logging understands
+ * (severity, message, time) plus whatever context the caller passes, e.g.
+ *   log.info('Plan approved', { sessionId, channelId, interactionId })
+ *   log.error('Jules request failed', { err, sessionId })
+ * An `err` field is expanded to its name, message, stack and HTTP status.
+ *
+ * LOG_LEVEL: debug, info (default), warn or error.
+ * LOG_FORMAT: json (default) or text for a readable local console.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+function serializeError(err) {
+    if (!(err instanceof Error)) return err;
+    const serialized = { name: err.name, message: err.message, stack: err.stack };
+    if (err.status !== undefined) serialized.status = err.status;
+    if (err.code !== undefined) serialized.code = err.code;
+    return serialized;
+}
+
+class Logger {
+    constructor(context = {}, { level = process.env.LOG_LEVEL, format = process.env.LOG_FORMAT } = {}) {
+        this.context = context;
+        this.level = LEVELS[level] ? level : 'info';
+        this.format = format === 'text' ? 'text' : 'json';
+    }
+
+    // Same settings, extra context on every line
+    child(context) {
+        return new Logger({ ...this.context, ...context }, { level: this.level, format: this.format });
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    write(level, message, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) return;
+
+        const entry = { severity: SEVERITIES[level], time: new Date().toISOString(), message, ...this.context };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) entry[key] = key === 'err' ? serializeError(value) : value;
+        }
+
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${this.format === 'text' ? formatText(entry) : JSON.stringify(entry)}\n`);
+    }
+}
+
+function formatText({ severity, time, message, err, ...fields }) {
+    const context = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    const line = [time, severity.padEnd(7), message, ...context].join(' ');
+    return err ? `${line}\n${err.stack || err.message || JSON.stringify(err)}` : line;
+}
+
+const logger = new Logger();
+
+module.exports = { logger, Logger, serializeError };
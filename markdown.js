@@ -0,0 +1,14 @@
+/**
+ * Markdown helpers shared by the attachment sections of prompts and the session
+ * transcripts.
+ */
+
+// A code fence longer than any run of backticks inside the text, so the text
+// cannot close it early. A trailing newline is dropped.
+function fence(text, language = '') {
+    const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+    const marker = '`'.repeat(longest + 1);
+    return `${marker}${language}\n${text.replace(/\n$/, '')}\n${marker}`;
+}
+
+module.exports = { fence };
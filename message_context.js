@@ -0,0 +1,146 @@
+/**
+ * Discord conversation context for Jules prompts.
+ *
+ * When the bot is mentioned, the prompt gets a context block built from:
+ *   - the message being replied to (message.reference),
+ *   - messages linked in the text (https://discord.com/channels/<guild>/<channel>/<message>),
+ *     only from the same guild and channels the author can see,
+ *   - optionally the last historyLimit messages when the mention is in a thread.
+ * Each entry names its author and time; user mentions in any of them are
+ * rendered as @display names rather than raw <@id> tokens.
+ */
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'context' });
+
+const MESSAGE_LINK = /https?:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/channels\/(\d+|@me)\/(\d+)\/(\d+)/g;
+
+function displayName(user, member) {
+    if (member && member.displayName) return member.displayName;
+    return user.globalName || user.username || user.id;
+}
+
+/**
+ * Replaces <@id> / <@!id> with @name (from the message's resolved mentions),
+ * <@&id> with @role and <#id> with #channel. Mentions of `removeUserId`
+ * (the bot itself) are dropped.
+ */
+function resolveMentions(text, message, { removeUserId = null } = {}) {
+    const mentions = message.mentions || {};
+    const users = mentions.users || new Map();
+    const members = mentions.members || new Map();
+    const roles = mentions.roles || new Map();
+    const channels = mentions.channels || new Map();
+
+    return text
+        .replace(/<@!?(\d+)>([ \t]?)/g, (token, id, space) => {
+            if (id === removeUserId) return '';
+            const user = users.get(id);
+            return user ? `@${displayName(user, members.get(id))}${space}` : token;
+        })
+        .replace(/<@&(\d+)>/g, (token, id) => (roles.get(id) ? `@${roles.get(id).name}` : token))
+        .replace(/<#(\d+)>/g, (token, id) => (channels.get(id) && channels.get(id).name ? `#${channels.get(id).name}` : token))
+        .trim();
+}
+
+function parseMessageLinks(text) {
+    return [...text.matchAll(MESSAGE_LINK)].map(([, guildId, channelId, messageId]) => ({ guildId, channelId, messageId }));
+}
+
+function formatTimestamp(date) {
+    return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+class MessageContextBuilder {
+    /**
+     * @param {object} options
+     * @param {(channelId: string) => Promise<object|null>} options.fetchChannel
+     * @param {number} [options.historyLimit] earlier thread messages to include, 0 for none
+     */
+    constructor({ fetchChannel, historyLimit = 0, maxMessageChars = 1500, maxChars = 6000 }) {
+        this.fetchChannel = fetchChannel;
+        this.historyLimit = historyLimit;
+        this.maxMessageChars = maxMessageChars;
+        this.maxChars = maxChars;
+    }
+
+    /**
+     * @returns {Promise<{ text: string|null, count: number }>} the context block (null when empty)
+     */
+    async build(message) {
+        const entries = [];
+        const seen = new Set([message.id]);
+        const add = (label, found) => {
+            if (!found || seen.has(found.id)) return;
+            seen.add(found.id);
+            entries.push({ label, message: found });
+        };
+
+        if (message.reference && message.reference.messageId) {
+            add('Replied-to message', await this.attempt('reply', () => message.fetchReference()));
+        }
+
+        for (const link of parseMessageLinks(message.content || '')) {
+            add('Linked message', await this.attempt('link', () => this.fetchLinkedMessage(message, link)));
+        }
+
+        if (this.historyLimit > 0 && message.channel.isThread()) {
+            const earlier = await this.attempt('history', () => message.channel.messages.fetch({ limit: this.historyLimit, before: message.id }));
+            // Newest first from Discord; keep the conversation order
+            [...(earlier ? earlier.values() : [])]
+                .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+                .forEach(found => add('Earlier in the thread', found));
+        }
+
+        const blocks = entries.map(entry => this.formatEntry(entry)).filter(Boolean);
+        if (blocks.length === 0) return { text: null, count: 0 };
+
+        let text = 'Context from the Discord conversation:';
+        let count = 0;
+        for (const block of blocks) {
+            if (text.length + block.length + 2 > this.maxChars) break;
+            text += `\n\n${block}`;
+            count++;
+        }
+        return count > 0 ? { text, count } : { text: null, count: 0 };
+    }
+
+    // Only messages from the same guild (or the same DM channel) are followed, and
+    // only from channels the author can read, so a link cannot leak private channels
+    async fetchLinkedMessage(message, { guildId, channelId, messageId }) {
+        const sameGuild = message.guild ? guildId === message.guild.id : channelId === message.channel.id;
+        if (!sameGuild) return null;
+        const channel = channelId === message.channel.id ? message.channel : await this.fetchChannel(channelId);
+        if (!channel || !channel.messages) return null;
+        if (typeof channel.permissionsFor === 'function' && message.member) {
+            const permissions = channel.permissionsFor(message.member);
+            if (!permissions || !permissions.has('ViewChannel')) return null;
+        }
+        return channel.messages.fetch(messageId);
+    }
+
+    async attempt(kind, fetchMessage) {
+        try {
+            return await fetchMessage();
+        } catch (err) {
+            log.warn('Failed to fetch context message', { kind, err });
+            return null;
+        }
+    }
+
+    formatEntry({ label, message }) {
+        const content = resolveMentions(message.content || '', message);
+        const files = [...(message.attachments ? message.attachments.values() : [])].map(a => a.name);
+        if (!content && files.length === 0) return null;
+
+        const channelName = message.channel && message.channel.name ? ` in #${message.channel.name}` : '';
+        const header = `${label} from ${displayName(message.author, message.member)}${channelName} (${formatTimestamp(message.createdAt)}):`;
+        const body = content.length > this.maxMessageChars ? `${content.slice(0, this.maxMessageChars)}…` : content;
+        const lines = body ? body.split('\n').map(line => `> ${line}`) : [];
+        if (files.length > 0) lines.push(`> (attachments: ${files.join(', ')})`);
+        return [header, ...lines].join('\n');
+    }
+}
+
+module.exports = { MessageContextBuilder, resolveMentions, parseMessageLinks };
@@ -0,0 +1,142 @@
+/**
+ * Prometheus metrics without extra dependencies.
+ *
+ * Counters, gauges and histograms with labels, rendered in the Prometheus text
+ * exposition format by GET /metrics. Gauges can take a `collect` callback that
+ * is read at scrape time (e.g. the number of active session monitors).
+ */
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) return '';
+    return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.series = new Map(); // labelKey -> { labels, value }
+    }
+
+    seriesFor(labels) {
+        const key = labelKey(labels);
+        if (!this.series.has(key)) this.series.set(key, { labels, value: 0 });
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    render() {
+        const lines = this.header();
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super('counter', name, help);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, collect = null) {
+        super('gauge', name, help);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels).value = value;
+    }
+
+    render() {
+        if (this.collect) this.set({}, this.collect());
+        return super.render();
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super('histogram', name, help);
+        this.buckets = buckets;
+    }
+
+    seriesFor(labels) {
+        const key = labelKey(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        return this.series.get(key);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = this.header();
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help, collect) {
+        return this.register(new Gauge(name, help, collect));
+    }
+
+    histogram(name, help, buckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20]) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    render() {
+        return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { MetricsRegistry, CONTENT_TYPE };
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'auth' });
+
+/**
+ * Role- and user-based authorization.
+ *
+ * Configured with a JSON file (PERMISSIONS_FILE) or inline JSON (PERMISSIONS_CONFIG):
+ * {
+ *     "everyone": ["message_session"],               // granted to every user
+ *     "roles": { "<roleId>": ["start_session", "approve_plan"] },
+ *     "users": { "<userId>": ["*"] },                 // "*" grants every capability
+ *     "sources": {                                    // optional per-source allow lists
+ *         "sources/github/owner/repo": { "roles": ["<roleId>"], "users": ["<userId>"] }
+ *     }
+ * }
+ *
+ * Without any configuration every action is allowed, matching the bot's behaviour
+ * before permissions existed.
+ */
+const CAPABILITIES = {
+    START_SESSION: 'start_session',
+    MESSAGE_SESSION: 'message_session',
+    APPROVE_PLAN: 'approve_plan',
+    WAKE_SLEEP: 'wake_sleep',
+    MANAGE_SETTINGS: 'manage_settings', // /jules persona, changing /jules defaults
+    MANAGE_SOURCES: 'manage_sources', // /jules source set
+    MANAGE_QUEUE: 'manage_queue', // cancel other people's queued requests
+    MANAGE_TEMPLATES: 'manage_templates' // /jules template add|remove
+};
+
+function loadPermissionConfig() {
+    if (process.env.PERMISSIONS_CONFIG) {
+        return JSON.parse(process.env.PERMISSIONS_CONFIG);
+    }
+    if (process.env.PERMISSIONS_FILE) {
+        const filePath = path.resolve(process.env.PERMISSIONS_FILE);
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+    return null;
+}
+
+class PermissionManager {
+    constructor(config) {
+        this.config = config;
+        if (!config) {
+            log.warn('No permission config found (PERMISSIONS_FILE / PERMISSIONS_CONFIG); allowing every action');
+        }
+    }
+
+    capabilitiesFor(actor) {
+        const granted = new Set(this.config.everyone || []);
+        for (const roleId of actor.roleIds || []) {
+            for (const cap of (this.config.roles || {})[roleId] || []) granted.add(cap);
+        }
+        for (const cap of (this.config.users || {})[actor.userId] || []) granted.add(cap);
+        return granted;
+    }
+
+    canUseSource(actor, source) {
+        const rule = source && (this.config.sources || {})[source];
+        if (!rule) return true;
+        if ((rule.users || []).includes(actor.userId)) return true;
+        return (actor.roleIds || []).some(roleId => (rule.roles || []).includes(roleId));
+    }
+
+    /**
+     * @param {{ userId: string, roleIds: string[] }} actor
+     * @param {string} capability one of CAPABILITIES
+     * @param {{ source?: string|null }} [context] source null: the action concerns a
+     *        source that could not be determined, which is denied
+     * @returns {{ allowed: boolean, reason: string }}
+     */
+    check(actor, capability, context = {}) {
+        let decision;
+        if (!this.config) {
+            decision = { allowed: true, reason: 'no permission config' };
+        } else {
+            const granted = this.capabilitiesFor(actor);
+            if (!granted.has('*') && !granted.has(capability)) {
+                decision = { allowed: false, reason: `missing capability "${capability}"` };
+            } else if (context.source === null) {
+                decision = { allowed: false, reason: 'unknown source' };
+            } else if (!this.canUseSource(actor, context.source)) {
+                decision = { allowed: false, reason: `no access to source "${context.source}"` };
+            } else {
+                decision = { allowed: true, reason: 'granted' };
+            }
+        }
+
+        log.info(decision.allowed ? 'ALLOW' : 'DENY', {
+            userId: actor.userId,
+            capability,
+            source: context.source,
+            reason: decision.reason
+        });
+        return decision;
+    }
+}
+
+function createPermissionManager() {
+    return new PermissionManager(loadPermissionConfig());
+}
+
+module.exports = { CAPABILITIES, PermissionManager, createPermissionManager };
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persona / locale profiles.
+ *
+ * A profile decides which language the bot speaks in Discord, how the LLM
+ * rewrites Jules output (prompt text) and every fixed message the bot sends.
+ * Channels and guilds pick a profile with /jules persona; everything else uses
+ * DEFAULT_PERSONA (the original Japanese timid-boy persona unless overridden).
+ *
+ * Extra profiles can be loaded from PERSONAS_FILE, a JSON object of
+ * { "<id>": { "extends": "<built-in id>", ...fields to override } }.
+ * Message keys that a custom profile leaves out come from the profile it extends.
+ *
+ * Messages use {name} placeholders, filled in by format().
+ */
+
+// Language Jules works in. Translation is skipped for profiles that speak it.
+const JULES_LANGUAGE = 'en';
+
+const BUILT_IN_PERSONAS = {
+    'ja-timid-boy': {
+        name: 'おどおど男の子 (日本語)',
+        language: 'ja',
+        languageName: 'Japanese',
+        description: 'a slightly timid but honest boy (ちょっとおどおどしてるけど素直な男の子)',
+        promptRules: [
+            'If the text mentions "I took a screenshot", say something cute like "スクショ撮ってみたよ！".'
+        ],
+        mutterPhrases: [
+            "ふむふむ...",
+            "ちょっと待ってね、考えてる...",
+            "えっと、それは...",
+            "難しそうだなぁ...",
+            "一生懸命やってるよ！",
+            "もうちょっとで分かりそう...",
+            "今コードを読んでるよ...",
+            "どうすればいいかなぁ..."
+        ],
+        messages: {
+            wakeStarting: '🥱 おはよぉ... (1分くらいで目が覚めるよ。チャット聞いてるね！)',
+            wakeReady: '✨ 目が覚めたよ！お話できるよ (Model: {model})',
+            alreadyAwake: '✨ もう起きてるよ！お話しよう。',
+            sleeping: '😴 寝るね... おやすみぃ！',
+            sleepBusy: '🏃 まだ {count} 個のセッションが動いてるから、起きてるね！',
+            scaleDone: '☁️ Cloud Run の min-instances を {count} にしたよ。',
+            scaleNotConfigured: '☁️ Cloud Run の設定 (PROJECT_ID / SERVICE_NAME / REGION) がないから、スケールはそのままだよ。',
+            scaleFailed: '⚠️ Cloud Run のスケールに失敗しちゃった...: {error}',
+            idleWarning: '💤 しばらく誰もお話ししてないから、{minutes}分後に寝ちゃうね。用事があったら呼んでね！',
+            idleSleeping: '😴 暇だから寝るね... 用事があったら /wake で起こしてね。',
+            error: 'ごめんね、エラーが出ちゃった...: {error}',
+            askRepository: 'どのリポジトリにする？',
+            noSources: 'Julesのアカウントにソースが見つからないよ... 先にソースを繋いでほしいな。',
+            sessionExpired: '前のセッションが切れちゃったみたい... もう一回最初からお願いできるかな？',
+            preparing: 'わかった、**{source}** を準備するね... ({options})',
+            threadStarted: 'セッション `{sessionId}` はここで進めるね！',
+            optionsSummary: 'PR自動作成: {autoPr} / プラン承認: {approval} / ブランチ: {branch}',
+            optionsThread: ' / スレッド: ON',
+            on: 'ON',
+            off: 'OFF',
+            approvalRequired: '必要',
+            approvalNotRequired: '不要',
+            defaultBranch: 'デフォルト',
+            planApproved: '✅ **Plan Approved!** (プランを承認したよ！作業始めるね)',
+            planRejected: '❌ **Plan Rejected** (プランは却下だね... このセッションはおしまいにするよ)',
+            changesRequested: '📝 **Changes Requested** (プランを直してもらうね)',
+            feedbackLabel: 'どこを直してほしい？',
+            feedbackEmpty: 'フィードバックが空っぽだよ...',
+            unknownButton: '知らないボタンだよ: {action}',
+            unknownCommand: '知らないコマンドだよ: {command}',
+            permissionDenied: '🔒 ごめんね、それはできないんだ... 権限がないみたい ({reason})',
+            sourceNotFound: '**{repo}** っていうソースが見つからないよ... 候補から選んでくれるかな？',
+            defaultsShown: 'このチャンネルのデフォルト設定だよ: {options}',
+            noSessionStart: 'このチャンネルにはセッションがないみたい... `/jules start` で始めてね。',
+            noSession: 'このチャンネルにはセッションがないみたい...',
+            noSessions: 'まだセッションはないよ。',
+            sessionEnded: 'セッション `{sessionId}` から離れたよ。次のメンションで新しいセッションを始めるね。',
+            sessionSwitched: 'このチャンネルを `{sessionId}` に切り替えたよ！ ({summary})',
+            invalidSessionId: '`{session}` はセッションIDじゃないみたい... `sessions/123` か `123` の形で教えてね。',
+            failureNextStepsTitle: '次にできること',
+            failureNextSteps: '• メンションで指示を送り直すと、同じセッションでもう一度やってみるよ\n' +
+                '• `/jules status` で状態を確認できるよ\n' +
+                '• `/jules end` のあとにメンションか `/jules start` で新しいセッションを始めてね',
+            personaSet: '{scope}のペルソナを **{persona}** にしたよ！',
+            personaNotFound: '**{persona}** っていうペルソナは知らないよ...',
+            scopeChannel: 'このチャンネル',
+            scopeGuild: 'このサーバー',
+            prOpened: '🔀 プルリクエストが開かれたよ！ {url}',
+            prMerged: '🎉 プルリクエストがマージされたよ！ありがとう！ {url}',
+            prClosed: '🚪 プルリクエストがマージされずに閉じられちゃった... {url}',
+            ciFailed: '🚨 プルリクエストのCIが失敗しちゃった... ({name})',
+            ciRetryLabel: 'Julesに直してもらう',
+            ciRetrySent: '🔁 CIの失敗をJulesに伝えたよ！直してもらうね',
+            reviewPosted: '💬 {user} さんがレビューを書いてくれたよ ({state}) {url}',
+            noHistory: 'まだセッションの履歴はないよ。',
+            exportReady: 'セッション `{sessionId}` の記録だよ！ (アクティビティ {count} 件)',
+            exportTooLarge: '記録が大きすぎて添付できないよ... ({size} MB)',
+            contextIncluded: '🧵 会話から {count} 件のメッセージも一緒に渡したよ。',
+            attachmentsIncluded: '📎 Julesに渡したファイル: {files}',
+            attachmentsSkipped: '⚠️ 渡せなかったファイル: {files}',
+            attachmentTruncated: '長いから途中を省略したよ',
+            attachmentDescribed: '画像の内容を説明したよ',
+            attachmentLinked: 'リンクだけ渡したよ',
+            attachmentTooLarge: '大きすぎるよ',
+            attachmentUnsupported: '対応してない形式だよ',
+            attachmentFailed: '読み込めなかったよ',
+            sourceListLegend: '⭐ = このチャンネルのデフォルト、📌 = ピン留め、— の後ろは別名だよ',
+            sourceSetNothing: '何を変えるか教えてね (alias / channel_default / pinned)。',
+            sourceSetNeedsRepo: 'どのリポジトリか repo で教えてね。',
+            aliasInvalid: '**{alias}** は別名に使えないよ... 英数字と . _ - で32文字までにしてね。',
+            aliasSet: '🏷️ **{alias}** で **{source}** を呼べるようにしたよ！',
+            aliasRemoved: '🏷️ 別名 **{alias}** を消したよ。',
+            channelDefaultSet: '⭐ このチャンネルのデフォルトを **{source}** にしたよ！',
+            channelDefaultCleared: '⭐ このチャンネルのデフォルトを外したよ。',
+            sourcePinned: '📌 **{source}** をピン留めしたよ！',
+            sourceUnpinned: '📌 **{source}** のピン留めを外したよ。',
+            sessionQueued: '⏳ {scope}もう {running}/{max} 個のセッションが動いてるから、順番待ちに入れたよ。**#{id}** ({position} 番目) だよ。空いたら自動で始めるね！ `/jules queue` で確認できるよ。',
+            limitUser: 'あなたの分は',
+            limitGuild: 'このサーバーでは',
+            queueShown: '⏳ 順番待ちのリクエストだよ (セッションが終わったら順番に始めるね):',
+            queueEmpty: '順番待ちはないよ。',
+            queueItemNotFound: '**#{id}** は順番待ちに見つからないよ...',
+            queueItemCancelled: '**#{id}** を順番待ちから外したよ。',
+            queuedSessionStarted: '▶️ {user} さん、順番待ちの **#{id}** を始めたよ！',
+            queuedSessionFailed: '💦 {user} さん、順番待ちの **#{id}** を始められなかったよ... ({error})',
+            templatesShown: '📝 テンプレートだよ (🔒 = 設定ファイルのもの):',
+            templatesEmpty: 'テンプレートはまだないよ。`/jules template add` で作れるよ！',
+            templateNotFound: '**{name}** っていうテンプレートが見つからないよ...',
+            templateNameInvalid: '**{name}** はテンプレート名に使えないよ... 英数字と _ - で32文字までにしてね。',
+            templateReadOnly: '**{name}** は設定ファイルのテンプレートだから、ここでは変えられないよ。',
+            templateTooManyPlaceholders: 'プレースホルダーは {max} 個までにしてね... (入力欄の数に限りがあるんだ)',
+            templateSaved: '📝 テンプレート **{name}** を保存したよ！ 入力するところ: {placeholders}',
+            templateRemoved: '📝 テンプレート **{name}** を消したよ。',
+            templateNeedsRepo: '**{name}** にはリポジトリが決まってないよ... repo で選ぶか、チャンネルのデフォルトを決めてね。',
+            templateRunExpired: '時間が経ちすぎちゃったみたい... もう一度 `/jules run` してね。',
+            templateModalTitle: '{name} を実行'
+        }
+    },
+    'en-friendly': {
+        name: 'Friendly assistant (English)',
+        language: 'en',
+        languageName: 'English',
+        description: 'a friendly, concise software assistant',
+        promptRules: [],
+        mutterPhrases: [
+            "Hmm...",
+            "Give me a moment, thinking...",
+            "Still reading the code...",
+            "This one is tricky...",
+            "Working hard on it!",
+            "Almost there..."
+        ],
+        messages: {
+            wakeStarting: "🥱 Waking up... (give me about a minute. I'm listening!)",
+            wakeReady: "✨ I'm awake and ready to chat (Model: {model})",
+            alreadyAwake: "✨ I'm already awake! Let's talk.",
+            sleeping: '😴 Going to sleep... good night!',
+            sleepBusy: "🏃 {count} Jules session(s) are still running, so I'll stay awake.",
+            scaleDone: '☁️ Cloud Run min-instances set to {count}.',
+            scaleNotConfigured: "☁️ Cloud Run scaling isn't configured (PROJECT_ID / SERVICE_NAME / REGION), so nothing changed.",
+            scaleFailed: "⚠️ Couldn't scale Cloud Run: {error}",
+            idleWarning: "💤 Nobody has talked to me for a while. I'll go to sleep in {minutes} minute(s) unless someone says something.",
+            idleSleeping: '😴 Going to sleep after being idle. Use /wake when you need me.',
+            error: 'Sorry, something went wrong: {error}',
+            askRepository: 'Which repository should I work on?',
+            noSources: "I couldn't find any sources in the Jules account. Please connect one first.",
+            sessionExpired: 'The previous session seems to have expired. Could you start over?',
+            preparing: 'Got it, preparing **{source}**... ({options})',
+            threadStarted: "I'll work on session `{sessionId}` in this thread!",
+            optionsSummary: 'Auto PR: {autoPr} / Plan approval: {approval} / Branch: {branch}',
+            optionsThread: ' / Thread: ON',
+            on: 'ON',
+            off: 'OFF',
+            approvalRequired: 'required',
+            approvalNotRequired: 'not required',
+            defaultBranch: 'default',
+            planApproved: "✅ **Plan Approved!** Starting work.",
+            planRejected: '❌ **Plan Rejected**. This session is closed for this channel.',
+            changesRequested: '📝 **Changes Requested**',
+            feedbackLabel: 'What should change?',
+            feedbackEmpty: 'The feedback was empty.',
+            unknownButton: 'Unknown button: {action}',
+            unknownCommand: 'Unknown command: {command}',
+            permissionDenied: "🔒 Sorry, you don't have permission to do that ({reason})",
+            sourceNotFound: "I couldn't find a source called **{repo}**. Please pick one from the suggestions.",
+            defaultsShown: 'Default options for this channel: {options}',
+            noSessionStart: 'There is no session in this channel. Start one with `/jules start`.',
+            noSession: 'There is no session in this channel.',
+            noSessions: 'No sessions yet.',
+            sessionEnded: 'Left session `{sessionId}`. The next mention starts a new session.',
+            sessionSwitched: 'This channel now follows `{sessionId}` ({summary})',
+            invalidSessionId: "`{session}` is not a session ID. Use `sessions/123` or `123`.",
+            failureNextStepsTitle: 'Next steps',
+            failureNextSteps: '• Mention me with new instructions to retry in the same session\n' +
+                '• Check the state with `/jules status`\n' +
+                '• Run `/jules end`, then mention me or use `/jules start` for a new session',
+            personaSet: 'Persona for {scope} set to **{persona}**!',
+            personaNotFound: "I don't know a persona called **{persona}**.",
+            scopeChannel: 'this channel',
+            scopeGuild: 'this server',
+            prOpened: '🔀 Pull request opened: {url}',
+            prMerged: '🎉 Pull request merged! {url}',
+            prClosed: '🚪 Pull request closed without merging: {url}',
+            ciFailed: '🚨 CI failed on your pull request ({name})',
+            ciRetryLabel: 'Ask Jules to fix',
+            ciRetrySent: '🔁 Sent the CI failure to Jules.',
+            reviewPosted: '💬 {user} posted a review ({state}) {url}',
+            noHistory: 'No session history yet.',
+            exportReady: 'Transcript of `{sessionId}` ({count} activities)',
+            exportTooLarge: 'The transcript is too large to attach ({size} MB).',
+            contextIncluded: '🧵 Included {count} message(s) from the conversation as context.',
+            attachmentsIncluded: '📎 Sent to Jules: {files}',
+            attachmentsSkipped: '⚠️ Not included: {files}',
+            attachmentTruncated: 'truncated',
+            attachmentDescribed: 'image described',
+            attachmentLinked: 'link only',
+            attachmentTooLarge: 'too large',
+            attachmentUnsupported: 'unsupported type',
+            attachmentFailed: 'could not be read',
+            sourceListLegend: '⭐ = default for this channel, 📌 = pinned, aliases after the —',
+            sourceSetNothing: 'Tell me what to change (alias, channel_default or pinned).',
+            sourceSetNeedsRepo: 'Please choose the repository with the repo option.',
+            aliasInvalid: "**{alias}** can't be an alias. Use letters, digits, . _ and -, up to 32 characters.",
+            aliasSet: '🏷️ **{alias}** now means **{source}**.',
+            aliasRemoved: '🏷️ Removed the alias **{alias}**.',
+            channelDefaultSet: "⭐ **{source}** is now this channel's default repository.",
+            channelDefaultCleared: "⭐ Cleared this channel's default repository.",
+            sourcePinned: '📌 Pinned **{source}**.',
+            sourceUnpinned: '📌 Unpinned **{source}**.',
+            sessionQueued: '⏳ {running}/{max} sessions are already running {scope}, so your request is queued as **#{id}** (position {position}). It starts automatically when a slot frees up; `/jules queue` shows the queue.',
+            limitUser: 'for you',
+            limitGuild: 'in this server',
+            queueShown: '⏳ Queued requests (they start as running sessions finish):',
+            queueEmpty: 'Nothing is queued.',
+            queueItemNotFound: "I couldn't find **#{id}** in the queue.",
+            queueItemCancelled: 'Removed **#{id}** from the queue.',
+            queuedSessionStarted: '▶️ {user}, your queued request **#{id}** has started.',
+            queuedSessionFailed: '❌ {user}, your queued request **#{id}** could not be started: {error}',
+            templatesShown: '📝 Prompt templates (🔒 = from the config file):',
+            templatesEmpty: 'No templates yet. Add one with `/jules template add`.',
+            templateNotFound: "I couldn't find a template called **{name}**.",
+            templateNameInvalid: "**{name}** can't be a template name. Use letters, digits, _ and -, up to 32 characters.",
+            templateReadOnly: '**{name}** comes from the config file and cannot be changed here.',
+            templateTooManyPlaceholders: 'A template can have at most {max} placeholders (one modal input each).',
+            templateSaved: '📝 Saved the template **{name}**. Placeholders: {placeholders}',
+            templateRemoved: '📝 Removed the template **{name}**.',
+            templateNeedsRepo: '**{name}** has no repository. Pick one with the repo option or set a channel default.',
+            templateRunExpired: 'This form has expired. Please run `/jules run` again.',
+            templateModalTitle: 'Run {name}'
+        }
+    }
+};
+
+function loadPersonas() {
+    const personas = { ...BUILT_IN_PERSONAS };
+    if (!process.env.PERSONAS_FILE) return personas;
+
+    const custom = JSON.parse(fs.readFileSync(path.resolve(process.env.PERSONAS_FILE), 'utf8'));
+    for (const [id, profile] of Object.entries(custom)) {
+        const base = personas[profile.extends] || BUILT_IN_PERSONAS['en-friendly'];
+        personas[id] = {
+            ...base,
+            ...profile,
+            messages: { ...base.messages, ...(profile.messages || {}) }
+        };
+    }
+    return personas;
+}
+
+const PERSONAS = loadPersonas();
+const DEFAULT_PERSONA_ID = PERSONAS[process.env.DEFAULT_PERSONA] ? process.env.DEFAULT_PERSONA : 'ja-timid-boy';
+
+function getPersona(id) {
+    const persona = PERSONAS[id] || PERSONAS[DEFAULT_PERSONA_ID];
+    return { id: PERSONAS[id] ? id : DEFAULT_PERSONA_ID, ...persona };
+}
+
+function listPersonas() {
+    return Object.entries(PERSONAS).map(([id, persona]) => ({ id, name: persona.name }));
+}
+
+function format(persona, key, params = {}) {
+    const template = persona.messages[key] || key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+function needsTranslation(persona) {
+    return persona.language !== JULES_LANGUAGE;
+}
+
+module.exports = { JULES_LANGUAGE, DEFAULT_PERSONA_ID, getPersona, listPersonas, format, needsTranslation };
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Prompt templates for recurring tasks ("Add tests for {module}").
+ *
+ * A template is { name, prompt, source?, options? }:
+ *   - prompt may contain up to MAX_PLACEHOLDERS {placeholders}; /jules run asks
+ *     for each one in a modal (Discord modals hold at most five inputs),
+ *   - source is the Jules source to use when /jules run names none,
+ *   - options are session options as in /jules defaults.
+ * Templates come from TEMPLATES_FILE ({ "<name>": { prompt, source, options } },
+ * available in every guild and read-only) and from /jules template add, which
+ * stores them per guild in the settings store ('guilds' scope, promptTemplates).
+ * A DM counts as its own guild.
+ */
+
+const MAX_PLACEHOLDERS = 5;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const PLACEHOLDER = /\{([A-Za-z][\w-]{0,44})\}/g;
+
+// Lower-cased; null when it is not a usable template name
+function normalizeTemplateName(name) {
+    const normalized = String(name || '').trim().toLowerCase();
+    return NAME_PATTERN.test(normalized) ? normalized : null;
+}
+
+// Placeholder names in order of first appearance
+function placeholdersOf(prompt) {
+    return [...new Set([...prompt.matchAll(PLACEHOLDER)].map(([, name]) => name))];
+}
+
+function fillTemplate(prompt, values) {
+    return prompt.replace(PLACEHOLDER, (token, name) => (name in values ? values[name] : token));
+}
+
+function loadTemplatesFile(filePath) {
+    if (!filePath) return {};
+    const templates = {};
+    const raw = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    for (const [rawName, template] of Object.entries(raw)) {
+        const name = normalizeTemplateName(rawName);
+        if (!name) throw new Error(`Invalid template name "${rawName}" in ${filePath}`);
+        if (!template || typeof template.prompt !== 'string' || !template.prompt.trim()) {
+            throw new Error(`Template "${rawName}" in ${filePath} needs a prompt`);
+        }
+        if (placeholdersOf(template.prompt).length > MAX_PLACEHOLDERS) {
+            throw new Error(`Template "${rawName}" in ${filePath} has more than ${MAX_PLACEHOLDERS} placeholders`);
+        }
+        templates[name] = { prompt: template.prompt, source: template.source, options: template.options || {} };
+    }
+    return templates;
+}
+
+class TemplateStore {
+    /**
+     * @param {import('./settings_store').FileSettingsStore} settingsStore
+     * @param {object} [fileTemplates] templates from TEMPLATES_FILE, by name
+     */
+    constructor(settingsStore, fileTemplates = {}) {
+        this.settingsStore = settingsStore;
+        this.fileTemplates = fileTemplates;
+    }
+
+    async guildTemplates({ guildId, channelId }) {
+        return (await this.settingsStore.get('guilds', guildId || channelId)).promptTemplates || {};
+    }
+
+    /**
+     * @returns {Promise<{ name: string, prompt: string, source?: string, options: object, readOnly: boolean }|null>}
+     */
+    async get(place, name) {
+        const key = normalizeTemplateName(name);
+        if (!key) return null;
+        if (this.fileTemplates[key]) return { ...this.fileTemplates[key], name: key, readOnly: true };
+        const template = (await this.guildTemplates(place))[key];
+        return template ? { options: {}, ...template, name: key, readOnly: false } : null;
+    }
+
+    async list(place) {
+        const guildTemplates = await this.guildTemplates(place);
+        const names = new Set([...Object.keys(this.fileTemplates), ...Object.keys(guildTemplates)]);
+        const templates = await Promise.all([...names].map(name => this.get(place, name)));
+        return templates.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Adds or replaces a guild template; names from TEMPLATES_FILE cannot be reused
+    async save(place, { name, prompt, source, options }) {
+        const templates = { ...(await this.guildTemplates(place)) };
+        templates[name] = { prompt, source: source || undefined, options: options || {} };
+        await this.settingsStore.update('guilds', place.guildId || place.channelId, { promptTemplates: templates });
+    }
+
+    async remove(place, name) {
+        const templates = { ...(await this.guildTemplates(place)) };
+        if (!templates[name]) return false;
+        delete templates[name];
+        await this.settingsStore.update('guilds', place.guildId || place.channelId, {
+            promptTemplates: Object.keys(templates).length > 0 ? templates : null
+        });
+        return true;
+    }
+}
+
+function createTemplateStore(settingsStore) {
+    return new TemplateStore(settingsStore, loadTemplatesFile(process.env.TEMPLATES_FILE));
+}
+
+module.exports = { TemplateStore, createTemplateStore, normalizeTemplateName, placeholdersOf, fillTemplate, MAX_PLACEHOLDERS };
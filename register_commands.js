@@ -1,6 +1,51 @@
 require('dotenv').config();
 const { REST, Routes } = require('discord.js');
 
+// Options shared by /jules start and /jules defaults
+const sessionOptionDefinitions = [
+    {
+        type: 3, // STRING
+        name: 'automation',
+        description: 'Whether Jules opens a Pull Request automatically',
+        choices: [
+            { name: 'Auto-create PR', value: 'AUTO_CREATE_PR' },
+            { name: 'No PR (exploration)', value: 'AUTOMATION_MODE_UNSPECIFIED' },
+        ],
+    },
+    {
+        type: 5, // BOOLEAN
+        name: 'plan_approval',
+        description: 'Wait for plan approval before starting work',
+    },
+    {
+        type: 3,
+        name: 'branch',
+        description: 'Starting branch (defaults to the repository default branch)',
+    },
+    {
+        type: 5,
+        name: 'thread',
+        description: 'Run the session in its own thread',
+    },
+];
+
+// Options shared by /jules run and /jules template run
+const templateRunOptions = [
+    {
+        type: 3,
+        name: 'template',
+        description: 'Template name',
+        required: true,
+        autocomplete: true,
+    },
+    {
+        type: 3,
+        name: 'repo',
+        description: 'Repository (defaults to the template\'s, then the channel default)',
+        autocomplete: true,
+    },
+];
+
 const commands = [
     {
         name: 'wake',
@@ -10,6 +55,251 @@ const commands = [
         name: 'sleep',
         description: 'Put the bot to sleep (Stops the Cloud Run instance to save money)',
     },
+    {
+        name: 'jules',
+        description: 'Manage Jules sessions',
+        options: [
+            {
+                type: 1, // SUB_COMMAND
+                name: 'start',
+                description: 'Start a new Jules session in this channel',
+                options: [
+                    {
+                        type: 3, // STRING
+                        name: 'repo',
+                        description: 'Source repository',
+                        required: true,
+                        autocomplete: true,
+                    },
+                    {
+                        type: 3,
+                        name: 'prompt',
+                        description: 'What Jules should do',
+                        required: true,
+                    },
+                    ...sessionOptionDefinitions,
+                ],
+            },
+            {
+                type: 1,
+                name: 'defaults',
+                description: 'Show or change the default session options for this channel',
+                options: [
+                    ...sessionOptionDefinitions,
+                    {
+                        type: 5,
+                        name: 'clear',
+                        description: 'Forget this channel\'s defaults',
+                    },
+                ],
+            },
+            {
+                type: 1,
+                name: 'persona',
+                description: 'Choose the language and persona the bot uses',
+                options: [
+                    {
+                        type: 3,
+                        name: 'name',
+                        description: 'Persona profile',
+                        required: true,
+                        autocomplete: true,
+                    },
+                    {
+                        type: 3,
+                        name: 'scope',
+                        description: 'Apply to this channel (default) or the whole server',
+                        choices: [
+                            { name: 'This channel', value: 'channel' },
+                            { name: 'This server', value: 'guild' },
+                        ],
+                    },
+                ],
+            },
+            {
+                type: 1,
+                name: 'status',
+                description: 'Show the status of the session in this channel',
+            },
+            {
+                type: 1,
+                name: 'list',
+                description: 'List known sessions',
+            },
+            {
+                type: 1,
+                name: 'queue',
+                description: 'Show session requests waiting for a free slot, or cancel one',
+                options: [
+                    {
+                        type: 4, // INTEGER
+                        name: 'cancel',
+                        description: 'Queue number to cancel (e.g. 3 for #3)',
+                    },
+                ],
+            },
+            {
+                type: 1,
+                name: 'end',
+                description: 'Stop using the session in this channel',
+            },
+            {
+                type: 1,
+                name: 'history',
+                description: 'Show past sessions with their status, duration and PR',
+                options: [
+                    {
+                        type: 6, // USER
+                        name: 'user',
+                        description: 'Only sessions started by this user',
+                    },
+                    {
+                        type: 5,
+                        name: 'all_channels',
+                        description: 'Include sessions from every channel in this server',
+                    },
+                ],
+            },
+            {
+                type: 1,
+                name: 'export',
+                description: 'Download a transcript of a session',
+                options: [
+                    {
+                        type: 3,
+                        name: 'session',
+                        description: 'Session ID (defaults to the session in this channel)',
+                    },
+                    {
+                        type: 3,
+                        name: 'format',
+                        description: 'Transcript format',
+                        choices: [
+                            { name: 'Markdown', value: 'markdown' },
+                            { name: 'JSON', value: 'json' },
+                        ],
+                    },
+                ],
+            },
+            {
+                type: 2, // SUB_COMMAND_GROUP
+                name: 'source',
+                description: 'Repository aliases, pinned repositories and channel defaults',
+                options: [
+                    {
+                        type: 1,
+                        name: 'set',
+                        description: 'Add an alias, pin a repository or make it this channel\'s default',
+                        options: [
+                            {
+                                type: 3,
+                                name: 'repo',
+                                description: 'Source repository (leave out to remove the alias or clear the default)',
+                                autocomplete: true,
+                            },
+                            {
+                                type: 3,
+                                name: 'alias',
+                                description: 'Short name for the repository, e.g. web',
+                            },
+                            {
+                                type: 5,
+                                name: 'channel_default',
+                                description: 'Use the repository in this channel when a mention names none',
+                            },
+                            {
+                                type: 5,
+                                name: 'pinned',
+                                description: 'Offer only pinned repositories when asking which one to use',
+                            },
+                        ],
+                    },
+                    {
+                        type: 1,
+                        name: 'list',
+                        description: 'Show repositories with their aliases, pins and this channel\'s default',
+                    },
+                ],
+            },
+            {
+                type: 1,
+                name: 'run',
+                description: 'Start a session from a prompt template',
+                options: templateRunOptions,
+            },
+            {
+                type: 2,
+                name: 'template',
+                description: 'Reusable prompts for recurring tasks',
+                options: [
+                    {
+                        type: 1,
+                        name: 'add',
+                        description: 'Add or replace a template; {placeholders} are asked for when it runs',
+                        options: [
+                            {
+                                type: 3,
+                                name: 'name',
+                                description: 'Template name, e.g. add-tests',
+                                required: true,
+                            },
+                            {
+                                type: 3,
+                                name: 'prompt',
+                                description: 'What Jules should do, e.g. Add unit tests for {module}',
+                                required: true,
+                            },
+                            {
+                                type: 3,
+                                name: 'repo',
+                                description: 'Repository to use when /jules run names none',
+                                autocomplete: true,
+                            },
+                            ...sessionOptionDefinitions,
+                        ],
+                    },
+                    {
+                        type: 1,
+                        name: 'list',
+                        description: 'Show the available templates',
+                    },
+                    {
+                        type: 1,
+                        name: 'remove',
+                        description: 'Remove a template',
+                        options: [
+                            {
+                                type: 3,
+                                name: 'template',
+                                description: 'Template name',
+                                required: true,
+                                autocomplete: true,
+                            },
+                        ],
+                    },
+                    {
+                        type: 1,
+                        name: 'run',
+                        description: 'Start a session from a template (same as /jules run)',
+                        options: templateRunOptions,
+                    },
+                ],
+            },
+            {
+                type: 1,
+                name: 'switch',
+                description: 'Bind this channel to another Jules session',
+                options: [
+                    {
+                        type: 3,
+                        name: 'session',
+                        description: 'Session ID (e.g. 1234567890 or sessions/1234567890)',
+                        required: true,
+                    },
+                ],
+            },
+        ],
+    },
 ];
 
 const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
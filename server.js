@@ -1,22 +1,114 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { Client, Status, Routes, GatewayIntentBits, ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
 const express = require('express');
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { google } = require('googleapis');
 const { verifyKey, InteractionType, InteractionResponseType } = require('discord-interactions');
+const { createSessionStore } = require('./session_store');
+const { createSettingsStore } = require('./settings_store');
+const { createHistoryStore } = require('./history_store');
+const { createSessionQueue } = require('./session_queue');
+const { CAPABILITIES, createPermissionManager } = require('./permissions');
+const { ActivityPoller } = require('./activity_poller');
+const { JulesClient, JulesApiError } = require('./jules_client');
+const { parseUnifiedDiff, summarizeDiff } = require('./diff_summary');
+const { getPersona, listPersonas, format: t, needsTranslation } = require('./personas');
+const { TranslationPipeline } = require('./translation_pipeline');
+const { createLLMProvider } = require('./llm_provider');
+const { verifySignature, normalizePullRequestUrl, parseGithubEvent } = require('./webhooks');
+const { buildMarkdownTranscript, buildJsonTranscript } = require('./transcript');
+const { IdleTracker } = require('./idle_tracker');
+const { CronScheduler } = require('./cron_schedule');
+const { AttachmentCollector, appendAttachments } = require('./attachments');
+const { MessageContextBuilder, resolveMentions } = require('./message_context');
+const { SourceRegistry, normalizeAlias, sourceLabel } = require('./source_registry');
+const { createTemplateStore, normalizeTemplateName, placeholdersOf, fillTemplate, MAX_PLACEHOLDERS } = require('./prompt_templates');
+const { logger } = require('./logger');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
 
 // Configuration
 const PORT = process.env.PORT || 8080;
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN ? process.env.DISCORD_TOKEN.trim() : "";
-const JULES_API_KEY = process.env.JULES_API_KEY ? process.env.JULES_API_KEY.trim() : "";
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY ? process.env.GEMINI_API_KEY.trim() : "";
 const DISCORD_PUBLIC_KEY = process.env.DISCORD_PUBLIC_KEY ? process.env.DISCORD_PUBLIC_KEY.trim() : "";
 const PROJECT_ID = process.env.PROJECT_ID;
 const SERVICE_NAME = process.env.SERVICE_NAME;
 const REGION = process.env.REGION;
-
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+const ECHO_USER_MESSAGES = process.env.ECHO_USER_MESSAGES === "true"; // repost what users sent to Jules
+const POLL_MIN_INTERVAL_MS = parseInt(process.env.POLL_MIN_INTERVAL_MS || "4000", 10);
+const POLL_MAX_INTERVAL_MS = parseInt(process.env.POLL_MAX_INTERVAL_MS || "60000", 10);
+// Point the bot at local fakes (see test/support) instead of the real APIs
+const JULES_API_BASE_URL = process.env.JULES_API_BASE_URL || undefined;
+const DISCORD_API_BASE_URL = process.env.DISCORD_API_BASE_URL || undefined;
+// Shared secrets for /webhooks/github and /webhooks/jules (routes answer 503 without them)
+const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET || "";
+const JULES_WEBHOOK_SECRET = process.env.JULES_WEBHOOK_SECRET || "";
+// /healthz fails once the gateway has been down this long while it should be up
+const GATEWAY_GRACE_MS = parseInt(process.env.GATEWAY_GRACE_MS || "120000", 10);
+// How long /readyz reuses the result of the last Jules API ping
+const READINESS_CACHE_MS = parseInt(process.env.READINESS_CACHE_MS || "30000", 10);
+// How long autocomplete reuses the source list; it has 3 seconds to answer
+const SOURCE_CACHE_MS = parseInt(process.env.SOURCE_CACHE_MS || "60000", 10);
+// Sleep (min-instances 0 + gateway logout) after this many idle minutes; 0 or unset disables it
+const IDLE_SLEEP_MINUTES = parseFloat(process.env.IDLE_SLEEP_MINUTES || "0");
+const IDLE_WARNING_MINUTES = parseFloat(process.env.IDLE_WARNING_MINUTES || "5");
+// Cron expressions (e.g. "0 9 * * 1-5"), read in SCALING_TIMEZONE. They fire only
+// while an instance is running, so a wake schedule needs min-instances >= 1 or an
+// external trigger to have something to run on.
+const WAKE_SCHEDULE = process.env.WAKE_SCHEDULE || "";
+const SLEEP_SCHEDULE = process.env.SLEEP_SCHEDULE || "";
+const SCALING_TIMEZONE = process.env.SCALING_TIMEZONE || "UTC";
+
+const log = logger.child({ component: 'server' });
+
+// --- Metrics (GET /metrics) ---
+const metrics = new MetricsRegistry();
+const sessionsStarted = metrics.counter('jules_bot_sessions_started_total', 'Jules sessions created by the bot, by origin (mention, command or template).');
+const plansApproved = metrics.counter('jules_bot_plans_approved_total', 'Plans approved from Discord.');
+const julesApiErrors = metrics.counter('jules_bot_jules_api_errors_total', 'Failed Jules API requests (including retried attempts), by operation and HTTP status.');
+const llmRequestDuration = metrics.histogram('jules_bot_llm_request_duration_seconds', 'LLM request latency, by operation, model and outcome.');
+const discordSendFailures = metrics.counter('jules_bot_discord_send_failures_total', 'Discord REST requests that returned an error status, by method and route.');
+const interactionsReceived = metrics.counter('jules_bot_interactions_total', 'Interactions received on /interactions, by type.');
+const sourceSelections = metrics.counter('jules_bot_source_selections_total', 'Sources picked for mention-started sessions, by how (name, alias, channel or llm).');
+
+// Session creation defaults (overridable per channel and per /jules start)
+const DEFAULT_SESSION_OPTIONS = {
+    automationMode: process.env.JULES_AUTOMATION_MODE || "AUTO_CREATE_PR",
+    requirePlanApproval: process.env.JULES_REQUIRE_PLAN_APPROVAL !== "false",
+    startingBranch: process.env.JULES_STARTING_BRANCH || null,
+    useThread: process.env.JULES_SESSION_THREADS === "true" // bot-side only: post the session in its own thread
+};
+
+const jules = new JulesClient({
+    apiKey: process.env.JULES_API_KEY ? process.env.JULES_API_KEY.trim() : "",
+    baseUrl: JULES_API_BASE_URL,
+    timeoutMs: parseInt(process.env.JULES_TIMEOUT_MS || "30000", 10),
+    maxRetries: parseInt(process.env.JULES_MAX_RETRIES || "3", 10),
+    onError: (err) => {
+        julesApiErrors.inc({ operation: err.operation, status: err.status || 'network' });
+    }
+});
+const llm = createLLMProvider({
+    apiKey: process.env.GEMINI_API_KEY ? process.env.GEMINI_API_KEY.trim() : "",
+    onRequest: ({ operation, model, seconds, ok }) => {
+        llmRequestDuration.observe({ operation, model, outcome: ok ? 'ok' : 'error' }, seconds);
+    }
+}); // translate / personaRewrite / pickSource
+// Files and images posted with a mention are added to the Jules prompt
+const attachmentCollector = new AttachmentCollector({
+    describeImage: (image) => llm.describeImage(image),
+    maxDownloadBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES || String(1024 * 1024), 10),
+    maxImageBytes: parseInt(process.env.ATTACHMENT_MAX_IMAGE_BYTES || String(4 * 1024 * 1024), 10),
+    maxFileChars: parseInt(process.env.ATTACHMENT_MAX_FILE_CHARS || "20000", 10),
+    maxTotalChars: parseInt(process.env.ATTACHMENT_MAX_TOTAL_CHARS || "50000", 10)
+});
+// Replied-to and linked messages (and, in threads, the last N messages) go into the prompt
+const messageContextBuilder = new MessageContextBuilder({
+    fetchChannel: (channelId) => client.channels.fetch(channelId),
+    historyLimit: parseInt(process.env.CONTEXT_HISTORY_MESSAGES || "0", 10),
+    maxChars: parseInt(process.env.CONTEXT_MAX_CHARS || "6000", 10)
+});
+const translationPipeline = new TranslationPipeline({
+    cacheSize: parseInt(process.env.TRANSLATION_CACHE_SIZE || "500", 10)
+});
 const run = google.run('v2');
 
 // --- Discord Client ---
@@ -25,15 +117,63 @@ const client = new Client({
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.MessageContent
-    ]
+    ],
+    ...(DISCORD_API_BASE_URL ? { rest: { api: DISCORD_API_BASE_URL } } : {})
+});
+
+// Count failed REST calls (sends, edits, thread creation, ...) by route
+client.rest.on('response', (request, response) => {
+    if (response.status >= 400) {
+        discordSendFailures.inc({ method: request.method, route: request.route, status: response.status });
+    }
+});
+
+// Gateway state for /healthz: whether we want to be connected and since when we are not
+const gateway = { wanted: false, downSince: null };
+
+function loginGateway() {
+    gateway.wanted = true;
+    gateway.downSince = gateway.downSince || Date.now();
+    return client.login(DISCORD_TOKEN);
+}
+
+function logoutGateway() {
+    gateway.wanted = false;
+    gateway.downSince = null;
+    idleTracker.stop();
+    return client.destroy();
+}
+
+client.on('shardDisconnect', () => {
+    gateway.downSince = gateway.downSince || Date.now();
 });
 
-client.once('ready', () => {
-    console.log(`Logged in as ${client.user.tag}`);
+client.on('ready', () => {
+    gateway.downSince = null;
+    idleTracker.start();
+    log.info('Logged in to the Discord gateway', { user: client.user.tag });
+    resumeSessions().catch(err => log.error('Failed to resume sessions', { err }));
+    startQueuedSessions();
 });
 
 // State
-const activeSessions = new Map(); // channelId -> sessionId
+const sessionStore = createSessionStore(); // channelId -> { sessionId, source, creatorId, seenIds, completed }
+const activityPoller = new ActivityPoller({
+    fetchActivities: (sessionId) => jules.listAllActivities(sessionId),
+    minInterval: POLL_MIN_INTERVAL_MS,
+    maxInterval: POLL_MAX_INTERVAL_MS
+}); // at most one watcher per sessionId
+const settingsStore = createSettingsStore(); // per-channel defaults such as session options
+const historyStore = createHistoryStore(); // every session the bot has worked with, for /jules history
+const sourceRegistry = new SourceRegistry(settingsStore); // aliases, pinned sources and channel defaults
+const templateStore = createTemplateStore(settingsStore); // TEMPLATES_FILE plus templates added with /jules template add
+const sessionQueue = createSessionQueue(runningSessionOwners); // requests over MAX_SESSIONS_PER_GUILD / MAX_SESSIONS_PER_USER
+const storesLoaded = { sessions: false, settings: false, history: false, queue: false }; // for /readyz
+
+metrics.gauge('jules_bot_active_monitors', 'Sessions currently watched by the activity poller.', () => activityPoller.size);
+metrics.gauge('jules_bot_queued_sessions', 'Session requests waiting for a free slot.', () => sessionQueue.size);
+metrics.gauge('jules_bot_gateway_ready', '1 while the Discord gateway connection is ready.', () => client.isReady() ? 1 : 0);
+const permissions = createPermissionManager();
 
 // --- Google Cloud Run Manager ---
 class GoogleCloudManager {
@@ -44,18 +184,22 @@ class GoogleCloudManager {
             });
             return await auth.getClient();
         } catch (e) {
-            console.error("Auth Error:", e);
+            log.error('Google auth failed', { err: e });
             throw e;
         }
     }
 
+    /**
+     * @returns {Promise<{ status: 'scaled'|'skipped'|'failed', count: number, error?: string }>}
+     *          skipped when the Cloud Run env vars are not set
+     */
     static async setMinInstances(count) {
         if (!PROJECT_ID || !SERVICE_NAME || !REGION) {
-            console.log("Cloud Run env vars missing, skipping scaling.");
-            return;
+            log.info('Cloud Run env vars missing, skipping scaling');
+            return { status: 'skipped', count };
         }
 
-        console.log(`Setting min-instances to ${count}...`);
+        log.info('Setting min-instances', { minInstances: count });
         try {
             const authClient = await this.getAuthClient();
             const name = `projects/${PROJECT_ID}/locations/${REGION}/services/${SERVICE_NAME}`;
@@ -74,97 +218,415 @@ class GoogleCloudManager {
             };
 
             await run.projects.locations.services.patch(patchRequest);
-            console.log(`Successfully set min-instances to ${count}`);
-
+            log.info('Set min-instances', { minInstances: count });
+            return { status: 'scaled', count };
         } catch (err) {
-            console.error("Failed to scale Cloud Run:", err);
+            log.error('Failed to scale Cloud Run', { minInstances: count, err });
+            return { status: 'failed', count, error: err.message };
         }
     }
 }
 
-// --- Jules API Helpers ---
-async function listSources() {
-    const response = await fetch('https://jules.googleapis.com/v1alpha/sources', {
-        method: 'GET',
-        headers: { 'X-Goog-Api-Key': JULES_API_KEY }
-    });
-    if (!response.ok) throw new Error(`ListSources Failed: ${response.statusText}`);
-    return await response.json();
+function formatScaleResult(result, persona) {
+    if (result.status === 'scaled') return t(persona, 'scaleDone', { count: result.count });
+    if (result.status === 'skipped') return t(persona, 'scaleNotConfigured');
+    return t(persona, 'scaleFailed', { error: result.error });
 }
 
-async function createSessionFull(source, userPrompt) {
-    const response = await fetch('https://jules.googleapis.com/v1alpha/sessions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'X-Goog-Api-Key': JULES_API_KEY
-        },
-        body: JSON.stringify({
-            prompt: userPrompt,
-            sourceContext: {
-                source: source.name,
-                githubRepoContext: source.githubRepo ? {} : undefined
-            },
-            automationMode: "AUTO_CREATE_PR",
-            requirePlanApproval: true
-        })
+// --- Sleep / Wake ---
+// Sessions that have not completed yet, whether or not a monitor is running for them
+async function countRunningSessions() {
+    const records = await sessionStore.list();
+    const running = new Set(records.filter(r => !r.completed).map(r => r.sessionId));
+    activityPoller.sessionIds.forEach(sessionId => running.add(sessionId));
+    return running.size;
+}
+
+// --- Concurrency Limits ---
+// A session holds a slot from its limit check until Jules finishes it: first as a
+// reservation while launchSession creates it, then through its history entry.
+const reservedSlots = new Set();
+
+async function runningSessionOwners() {
+    const running = (await historyStore.running()).map(entry => ({ guildId: entry.guildId, userId: entry.creatorId }));
+    return [...running, ...reservedSlots];
+}
+
+// Holds a slot for a request that passed its limit check; call the returned
+// function once launchSession has recorded the session (or failed).
+function reserveSessionSlot({ guildId, userId }) {
+    const slot = { guildId, userId };
+    reservedSlots.add(slot);
+    return () => reservedSlots.delete(slot);
+}
+
+// Queues a session request; returns the reply telling the user where it stands
+async function enqueueSession(request, limit, persona) {
+    const item = await sessionQueue.enqueue(request);
+    return t(persona, 'sessionQueued', {
+        id: item.id,
+        position: sessionQueue.position(item),
+        running: limit.running,
+        max: limit.max,
+        scope: t(persona, limit.limit === 'user' ? 'limitUser' : 'limitGuild')
     });
-    if (!response.ok) {
-        const errText = await response.text();
-        throw new Error(`CreateSession Failed: ${errText}`);
+}
+
+// Runs `task` after every earlier one. Limit checks run as such tasks together with
+// the reservation or enqueue that follows them, so two requests cannot both take the
+// last free slot; the Jules calls that start the session happen outside.
+let sessionSlots = Promise.resolve();
+function withSessionSlots(task) {
+    const run = sessionSlots.then(task);
+    sessionSlots = run.catch(() => {});
+    return run;
+}
+
+// Starts queued requests while the limits allow. Called whenever a session
+// finishes.
+function startQueuedSessions() {
+    return withSessionSlots(async () => {
+        const startable = [];
+        let item;
+        while ((item = await sessionQueue.next())) {
+            startable.push({ item, release: reserveSessionSlot(item) });
+        }
+        return startable;
+    }).then(startable => Promise.all(startable.map(({ item, release }) => startQueuedSession(item).finally(release))))
+        .catch(err => log.error('Failed to start queued sessions', { err }));
+}
+
+async function startQueuedSession(item) {
+    const channel = await client.channels.fetch(item.channelId).catch(() => null);
+    const persona = channel ? await personaForChannel(channel) : getPersona();
+    const user = `<@${item.userId}>`;
+    try {
+        const source = (await jules.listAllSources()).find(s => s.name === item.source);
+        if (!source) throw new Error(`Source ${item.source} is no longer available`);
+        const { sessionId, channelId } = await launchSession({ ...item, source, channel, persona });
+        log.info('Started queued session', { id: item.id, sessionId, channelId });
+        if (channel) {
+            const where = channelId !== item.channelId ? ` → <#${channelId}>` : '';
+            await channel.send(`${t(persona, 'queuedSessionStarted', { id: item.id, user })}${where}\n\`${sessionId}\``);
+        }
+    } catch (err) {
+        log.error('Failed to start queued session', { id: item.id, err });
+        if (channel) {
+            await channel.send(t(persona, 'queuedSessionFailed', { id: item.id, user, error: err.message }))
+                .catch(sendErr => log.error('Failed to report queued session failure', { id: item.id, err: sendErr }));
+        }
     }
-    return await response.json(); 
 }
 
-async function sendMessageToSession(sessionId, prompt) {
-    const response = await fetch(`https://jules.googleapis.com/v1alpha/${sessionId}:sendMessage`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'X-Goog-Api-Key': JULES_API_KEY
-        },
-        body: JSON.stringify({ prompt })
+/**
+ * Scales to zero and leaves the gateway, unless a Jules session is still
+ * running (its monitor needs the gateway and the instance).
+ * @returns {Promise<{ status: 'busy', running: number } | object>} busy, or the setMinInstances result
+ */
+async function sleepBot(reason) {
+    const running = await countRunningSessions();
+    if (running > 0) {
+        log.info('Sessions still running, staying awake', { reason, running });
+        return { status: 'busy', running };
+    }
+
+    log.info('Going to sleep', { reason });
+    const result = await GoogleCloudManager.setMinInstances(0);
+    if (client.isReady() || gateway.wanted) await logoutGateway();
+    return result;
+}
+
+/**
+ * Scales up and logs in to the gateway unless that is already done or under way.
+ * @returns {Promise<object>} the setMinInstances result, plus `login`: the gateway
+ *          login this call started, or null
+ */
+async function wakeBot(reason) {
+    log.info('Waking up', { reason });
+    const result = await GoogleCloudManager.setMinInstances(1);
+    let login = null;
+    if (DISCORD_TOKEN && !client.isReady() && !gateway.wanted) {
+        login = loginGateway();
+        login.catch(err => log.error('Login failed', { err }));
+    }
+    return { ...result, login };
+}
+
+const idleTracker = new IdleTracker({
+    idleMs: IDLE_SLEEP_MINUTES * 60000,
+    warningMs: IDLE_WARNING_MINUTES * 60000,
+    isBusy: async () => (await countRunningSessions()) > 0 || sessionQueue.size > 0,
+    onWarning: async (channelId, remainingMs) => {
+        const channel = channelId && await client.channels.fetch(channelId).catch(() => null);
+        if (!channel) return;
+        const persona = await personaForChannel(channel);
+        await channel.send(t(persona, 'idleWarning', { minutes: Math.max(1, Math.round(remainingMs / 60000)) }));
+    },
+    onIdle: async () => {
+        const channelId = idleTracker.lastChannelId;
+        const channel = channelId && await client.channels.fetch(channelId).catch(() => null);
+        if (channel) {
+            const persona = await personaForChannel(channel);
+            await channel.send(t(persona, 'idleSleeping')).catch(err => log.warn('Failed to post idle notice', { channelId, err }));
+        }
+        const result = await sleepBot('idle');
+        // A session started between the check and now: keep watching
+        if (result.status === 'busy') idleTracker.start();
+    }
+});
+
+const scheduler = new CronScheduler({ timeZone: SCALING_TIMEZONE });
+if (WAKE_SCHEDULE) scheduler.add('wake', WAKE_SCHEDULE, () => wakeBot('schedule'));
+if (SLEEP_SCHEDULE) scheduler.add('sleep', SLEEP_SCHEDULE, () => sleepBot('schedule'));
+
+// --- Jules Session Helpers ---
+// Env defaults < channel defaults < explicit overrides (undefined values are ignored)
+async function resolveSessionOptions(channelId, overrides = {}) {
+    const channelSettings = await settingsStore.get('channels', channelId);
+    const options = { ...DEFAULT_SESSION_OPTIONS, ...(channelSettings.sessionOptions || {}) };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined) options[key] = value;
+    }
+    return options;
+}
+
+function formatSessionOptions(options, persona) {
+    const summary = t(persona, 'optionsSummary', {
+        autoPr: t(persona, options.automationMode === 'AUTO_CREATE_PR' ? 'on' : 'off'),
+        approval: t(persona, options.requirePlanApproval ? 'approvalRequired' : 'approvalNotRequired'),
+        branch: options.startingBranch || t(persona, 'defaultBranch')
     });
-    if (!response.ok) {
-         const errText = await response.text();
-         throw new Error(`SendMessage Failed: ${errText}`);
+    return options.useThread ? summary + t(persona, 'optionsThread') : summary;
+}
+
+/**
+ * Creates a Jules session and binds it to `channel`, or to a new thread when
+ * options.useThread is set, then records it in the history and starts monitoring.
+ * Without a channel object (slash commands while the gateway is down) the session
+ * is bound to channelId and resumeSessions() picks it up once the gateway connects.
+ * @returns {Promise<{ sessionId: string, channelId: string }>} channelId: where the session lives
+ */
+async function launchSession({ source, prompt, typedPrompt, options, origin, guildId, channelId, userId, channel = null, persona, starterMessage = null }) {
+    const sessionData = await createSessionFull(source, prompt, options);
+    sessionsStarted.inc({ origin });
+    const sessionId = sessionData.name;
+    if (!sessionId) throw new Error("Session creation failed.");
+
+    let target = channel;
+    if (options.useThread && channel) {
+        const thread = await createSessionThread(channel, buildThreadName(typedPrompt, source), starterMessage);
+        if (thread) {
+            target = thread;
+            await thread.send(t(persona, 'threadStarted', { sessionId }));
+        }
     }
-    return await response.json();
+    const targetChannelId = target ? target.id : channelId;
+    const parentChannelId = targetChannelId !== channelId ? channelId : undefined;
+
+    await historyStore.record(sessionId, {
+        channelId: targetChannelId,
+        parentChannelId,
+        guildId,
+        source: source.name,
+        creatorId: userId,
+        prompt: typedPrompt
+    });
+    await sessionStore.set(targetChannelId, { sessionId, source: source.name, creatorId: userId, guildId, parentChannelId });
+    if (target) {
+        monitorSession(sessionId, target)
+            .catch(err => log.error('Failed to monitor session', { sessionId, err }));
+    }
+    return { sessionId, channelId: targetChannelId };
 }
 
-async function approveSessionPlan(sessionId) {
-    const response = await fetch(`https://jules.googleapis.com/v1alpha/${sessionId}:approvePlan`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'X-Goog-Api-Key': JULES_API_KEY
+function createSessionFull(source, userPrompt, options = DEFAULT_SESSION_OPTIONS) {
+    return jules.createSession({
+        prompt: userPrompt,
+        sourceContext: {
+            source: source.name,
+            githubRepoContext: source.githubRepo
+                ? (options.startingBranch ? { startingBranch: options.startingBranch } : {})
+                : undefined
         },
-        body: JSON.stringify({})
+        automationMode: options.automationMode,
+        requirePlanApproval: options.requirePlanApproval
     });
-    if (!response.ok) {
-         const errText = await response.text();
-         throw new Error(`ApprovePlan Failed: ${errText}`);
+}
+
+// --- Activity Rendering ---
+const DISCORD_MESSAGE_LIMIT = 2000;
+const EMBED_TITLE_LIMIT = 256;
+const EMBED_DESCRIPTION_LIMIT = 4096;
+const EMBED_FIELD_LIMIT = 1024;
+const EMBED_MAX_FIELDS = 25;
+const BASH_PREVIEW_LIMIT = 1500; // keeps the embed compact; longer output is attached as a .log
+const DISCORD_ATTACHMENT_LIMIT = 10 * 1024 * 1024;
+
+const EMBED_COLORS = {
+    plan: 0x4285F4,
+    progress: 0x9AA0A6,
+    pullRequest: 0x238636,
+    changeSet: 0x8957E5,
+    failure: 0xEA4335,
+    ciFailure: 0xD29922,
+    bashSuccess: 0x34A853,
+    bashFailure: 0xEA4335
+};
+
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// Keeps the end of long output, where errors usually are.
+function truncateStart(text, max) {
+    return text.length > max ? `…${text.slice(text.length - max + 1)}` : text;
+}
+
+function buildPlanEmbed(plan) {
+    const steps = plan.steps || [];
+    const fields = steps.slice(0, EMBED_MAX_FIELDS).map((step, i) => ({
+        name: truncate(`${i + 1}. ${step.title || 'Step'}`, EMBED_TITLE_LIMIT),
+        value: truncate(step.description || '\u200b', EMBED_FIELD_LIMIT)
+    }));
+    if (steps.length > EMBED_MAX_FIELDS) {
+        fields[EMBED_MAX_FIELDS - 1] = {
+            name: `…and ${steps.length - EMBED_MAX_FIELDS + 1} more steps`,
+            value: steps.slice(EMBED_MAX_FIELDS - 1).map(step => step.title).join('\n').slice(0, EMBED_FIELD_LIMIT)
+        };
+    }
+    return new EmbedBuilder()
+        .setTitle('📋 Plan')
+        .setColor(EMBED_COLORS.plan)
+        .addFields(fields);
+}
+
+function buildPullRequestEmbed(pullRequest) {
+    const embed = new EmbedBuilder()
+        .setTitle(truncate(`🔀 ${pullRequest.title || 'Pull Request'}`, EMBED_TITLE_LIMIT))
+        .setURL(pullRequest.url)
+        .setColor(EMBED_COLORS.pullRequest);
+    if (pullRequest.description) {
+        embed.setDescription(truncate(pullRequest.description, EMBED_DESCRIPTION_LIMIT));
+    }
+    const branch = pullRequest.headRef
+        ? `${pullRequest.baseRef ? `${pullRequest.baseRef} ← ` : ''}${pullRequest.headRef}`
+        : null;
+    if (branch) embed.addFields({ name: 'Branch', value: truncate(branch, EMBED_FIELD_LIMIT), inline: true });
+    embed.addFields({ name: 'URL', value: pullRequest.url });
+    return embed;
+}
+
+// Returns the embed and, when the output does not fit, the full log as an attachment.
+function buildBashOutput(bashOutput, index) {
+    const cmd = bashOutput.command || "";
+    const out = bashOutput.output || "";
+    const exitCode = bashOutput.exitCode;
+    const failed = exitCode !== undefined && exitCode !== 0;
+
+    const embed = new EmbedBuilder()
+        .setTitle(truncate(`$ ${cmd.split('\n')[0] || 'bash'}`, EMBED_TITLE_LIMIT))
+        .setColor(failed ? EMBED_COLORS.bashFailure : EMBED_COLORS.bashSuccess)
+        .setDescription(`\`\`\`\n${truncateStart(out, BASH_PREVIEW_LIMIT) || ' '}\n\`\`\``);
+    if (exitCode !== undefined) {
+        embed.setFooter({ text: `exit code: ${exitCode}` });
+    }
+
+    let file = null;
+    if (out.length > BASH_PREVIEW_LIMIT || cmd.includes('\n')) {
+        const log = `$ ${cmd}\n${out}\n${exitCode !== undefined ? `\n[exit code: ${exitCode}]\n` : ''}`;
+        file = { attachment: Buffer.from(log, 'utf8'), name: `bash-output-${index + 1}.log` };
+    }
+    return { embed, file };
+}
+
+const DIFF_STATUS_MARKERS = { added: 'A', deleted: 'D', renamed: 'R', modified: 'M' };
+
+// Returns a per-file summary embed and the full patch as a .diff attachment.
+function buildChangeSet(changeSet, index) {
+    const gitPatch = changeSet.gitPatch || {};
+    const patch = gitPatch.unidiffPatch || "";
+    const files = parseUnifiedDiff(patch);
+    const totals = summarizeDiff(files);
+
+    const embed = new EmbedBuilder()
+        .setTitle('📝 Code changes')
+        .setColor(EMBED_COLORS.changeSet);
+
+    let description = gitPatch.suggestedCommitMessage
+        ? `${truncate(gitPatch.suggestedCommitMessage, 1000)}\n`
+        : "";
+    if (files.length > 0) {
+        const lines = [];
+        let length = 0;
+        for (const file of files) {
+            const stats = file.binary ? 'binary' : `+${file.additions} -${file.deletions}`;
+            const name = file.status === 'renamed' ? `${file.oldPath} → ${file.path}` : file.path;
+            const line = `${DIFF_STATUS_MARKERS[file.status]} ${stats.padEnd(12)} ${name}`;
+            // Leave room for the code fence and the "more files" line
+            if (length + line.length > EMBED_DESCRIPTION_LIMIT - description.length - 100) {
+                lines.push(`… and ${files.length - lines.length} more files`);
+                break;
+            }
+            lines.push(line);
+            length += line.length + 1;
+        }
+        description += `\`\`\`\n${lines.join('\n')}\n\`\`\``;
     }
-    return await response.json();
+    if (description) embed.setDescription(description);
+
+    const footer = [`${totals.files} files changed, +${totals.additions} -${totals.deletions}`];
+    if (gitPatch.baseCommitId) footer.push(`base: ${gitPatch.baseCommitId.slice(0, 12)}`);
+    embed.setFooter({ text: footer.join(' · ') });
+
+    const file = patch
+        ? { attachment: Buffer.from(patch, 'utf8'), name: `changes-${index + 1}.diff` }
+        : null;
+    return { embed, file };
+}
+
+function buildFailureEmbed(reason, persona) {
+    return new EmbedBuilder()
+        .setTitle('❌ Session failed')
+        .setColor(EMBED_COLORS.failure)
+        .setDescription(truncate(reason || 'Jules did not give a reason.', EMBED_DESCRIPTION_LIMIT))
+        .addFields({
+            name: t(persona, 'failureNextStepsTitle'),
+            value: t(persona, 'failureNextSteps')
+        });
 }
 
-function formatActivity(activity) {
+function buildProgressEmbed(text, updateCount) {
+    return new EmbedBuilder()
+        .setTitle('⏳ Progress')
+        .setColor(EMBED_COLORS.progress)
+        .setDescription(truncate(text, EMBED_DESCRIPTION_LIMIT))
+        .setFooter({ text: `Update #${updateCount}` })
+        .setTimestamp();
+}
+
+/**
+ * Turns a Jules activity into what gets posted to Discord.
+ * `content` is prose that goes through the persona translation; embeds and files
+ * carry structured data (plan steps, PR cards, bash logs) and are posted as is.
+ */
+function formatActivity(activity, persona = getPersona()) {
     if (!activity) return null;
     
     let content = "";
+    const embeds = [];
     const files = [];
     let type = 'unknown';
 
     // 1. Plan Generated
     if (activity.planGenerated && activity.planGenerated.plan) {
         type = 'planGenerated';
+        content = "I have created a plan. Please review it.";
         if (activity.planGenerated.plan.steps) {
-            const steps = activity.planGenerated.plan.steps.map(s => `${s.index ? s.index + '. ' : ''}${s.title}`).join('\n');
-            content = `I have created a plan:\n${steps}`;
+            embeds.push(buildPlanEmbed(activity.planGenerated.plan));
         }
     }
 
-    // 2. Progress Updated
+    // 2. Progress Updated (rendered into an embed that is edited in place)
     else if (activity.progressUpdated) {
         type = 'progressUpdated';
         const title = activity.progressUpdated.title;
@@ -181,7 +643,8 @@ function formatActivity(activity) {
         type = 'outputs';
         const pr = activity.outputs.find(o => o.pullRequest);
         if (pr) {
-            content = `I have created a Pull Request: ${pr.pullRequest.url}\n${pr.pullRequest.title}`;
+            content = "I have created a Pull Request!";
+            embeds.push(buildPullRequestEmbed(pr.pullRequest));
         }
     }
 
@@ -191,15 +654,43 @@ function formatActivity(activity) {
         content = "Task completed.";
     }
 
+    // 5. Session Failed
+    else if (activity.sessionFailed) {
+        type = 'sessionFailed';
+        content = "Sorry, the session failed.";
+        embeds.push(buildFailureEmbed(activity.sessionFailed.reason, persona));
+    }
+
+    // 6. Agent Message (questions and replies from Jules)
+    else if (activity.agentMessaged) {
+        type = 'agentMessaged';
+        content = activity.agentMessaged.agentMessage || "";
+    }
+
+    // 7. User Message (echo of what was sent to Jules; not translated)
+    else if (activity.userMessaged) {
+        type = 'userMessaged';
+        content = activity.userMessaged.userMessage || "";
+    }
+
+    // 8. Plan Approved
+    else if (activity.planApproved) {
+        type = 'planApproved';
+        content = "The plan was approved. I'm starting work now.";
+    }
+
     // Process Artifacts
     if (activity.artifacts) {
-        for (const artifact of activity.artifacts) {
-            if (artifact.bashOutput) {
-                const cmd = artifact.bashOutput.command || "";
-                const out = artifact.bashOutput.output || "";
-                if (cmd || out) {
-                     content += `\n\`\`\`bash\n${cmd}\n${out}\n\`\`\``;
-                }
+        activity.artifacts.forEach((artifact, index) => {
+            if (artifact.changeSet) {
+                const { embed, file } = buildChangeSet(artifact.changeSet, index);
+                embeds.push(embed);
+                if (file) files.push(file);
+            }
+            if (artifact.bashOutput && (artifact.bashOutput.command || artifact.bashOutput.output)) {
+                const { embed, file } = buildBashOutput(artifact.bashOutput, index);
+                embeds.push(embed);
+                if (file) files.push(file);
             }
             if (artifact.media && artifact.media.data) {
                 try {
@@ -210,216 +701,1319 @@ function formatActivity(activity) {
                     });
                     content += "\n(Look! I took a screenshot!)";
                 } catch (e) {
-                    console.error("Failed to process media artifact", e);
+                    log.error('Failed to process media artifact', { activityId: activity.id, err: e });
                 }
             }
-        }
+        });
     }
 
-    if (!content && files.length === 0) return null;
+    if (!content && embeds.length === 0 && files.length === 0) return null;
 
-    return { content, files, type };
+    // Discord allows 10 embeds per message
+    return { content: content.trim(), embeds: embeds.slice(0, 10), files, type };
 }
 
-const MUTTER_PHRASES = [
-    "ふむふむ...",
-    "ちょっと待ってね、考えてる...",
-    "えっと、それは...",
-    "難しそうだなぁ...",
-    "一生懸命やってるよ！",
-    "もうちょっとで分かりそう...",
-    "今コードを読んでるよ...",
-    "どうすればいいかなぁ..."
-];
+// --- Thread-per-session mode ---
+function buildThreadName(task, source) {
+    const repo = source.name.split('/').pop();
+    const title = task.split('\n')[0].trim().slice(0, 80) || 'Jules';
+    return `${title} (${repo})`.slice(0, 100);
+}
 
+// Creates a thread for a session, from the starter message when there is one.
+// Returns null (so the caller keeps using the channel) when threads aren't possible,
+// e.g. in DMs or when the mention was already inside a thread.
+async function createSessionThread(channel, name, starterMessage = null) {
+    if (!channel || !channel.threads || channel.isThread()) return null;
+    try {
+        const thread = starterMessage
+            ? await starterMessage.startThread({ name, autoArchiveDuration: 1440 })
+            : await channel.threads.create({ name, autoArchiveDuration: 1440 });
+        log.info('Created session thread', { channelId: channel.id, threadId: thread.id, name });
+        return thread;
+    } catch (err) {
+        log.error('Failed to create session thread', { channelId: channel.id, err });
+        return null;
+    }
+}
+
+// Attaches a channel to the shared activity poller. If the session is already
+// watched, this only nudges the watcher so it polls again soon.
 async function monitorSession(sessionId, channel, initialSeenIds = null) {
-    console.log(`Monitoring session ${sessionId}...`);
-    let seenIds = new Set(initialSeenIds || []);
-
-    if (!initialSeenIds) {
-        let pageToken = null;
-        do {
-            const data = await listActivities(sessionId, pageToken);
-            if (data && data.activities) {
-                data.activities.forEach(a => seenIds.add(a.id));
-            }
-            pageToken = data ? data.nextPageToken : null;
-        } while (pageToken);
+    if (activityPoller.isWatching(sessionId)) {
+        activityPoller.nudge(sessionId);
+        return;
     }
 
-    const maxTime = 600000; // Monitor for 10 minutes max per user interaction
-    const startTime = Date.now();
+    log.info('Monitoring session', { sessionId, channelId: channel.id });
+    let seenIds = initialSeenIds;
+    if (!seenIds) {
+        const activities = await jules.listAllActivities(sessionId);
+        seenIds = activities.map(a => a.id);
+        await updateStoredSession(channel.id, sessionId, { seenIds });
+    }
+
+    activityPoller.watch(sessionId, {
+        seenIds,
+        state: { lastMutterTime: Date.now(), isWaitingForResponse: true },
+        onActivities: (activities, watcher) => handleNewActivities(sessionId, channel, activities, watcher),
+        onIdle: (watcher) => handleIdleSession(sessionId, channel, watcher),
+        onError: (err) => handleMonitorError(sessionId, channel, err)
+    });
+}
+
+// Stops the watcher on a deleted session; other errors are retried with backoff.
+async function handleMonitorError(sessionId, channel, err) {
+    if (!isSessionGone(err)) return false;
+    await closeDeletedSession(sessionId, channel.id);
+    return true;
+}
 
-    let lastMutterTime = Date.now();
-    let isWaitingForResponse = true;
+function isSessionGone(err) {
+    return err instanceof JulesApiError && err.status === 404;
+}
 
-    while (Date.now() - startTime < maxTime) {
-        await new Promise(r => setTimeout(r, 4000));
+// A deleted session never comes back: it is closed as failed so it no longer counts
+// as running, whether the watcher or a message sent to it found out.
+async function closeDeletedSession(sessionId, channelId) {
+    log.warn('Session no longer exists on Jules, closing it', { sessionId, channelId });
+    activityPoller.stop(sessionId);
+    await updateStoredSession(channelId, sessionId, { completed: true, failed: true });
+    await recordSessionFinished(sessionId, 'failed');
+}
 
-        const data = await listActivities(sessionId);
-        if (!data || !data.activities) {
-            // Mutter logic if no activity
-             if (isWaitingForResponse && (Date.now() - lastMutterTime > 30000)) {
-                const phrase = MUTTER_PHRASES[Math.floor(Math.random() * MUTTER_PHRASES.length)];
-                await channel.send(phrase);
-                lastMutterTime = Date.now();
-            }
+// History status of sessions Jules has finished, by session state
+const FINISHED_SESSION_STATES = { COMPLETED: 'completed', FAILED: 'failed' };
+
+// Jules finished the session (or deleted it), so it gives up its concurrency slot.
+// Sessions already ended or rejected in Discord keep that status.
+async function recordSessionFinished(sessionId, status) {
+    const entry = await historyStore.get(sessionId);
+    if (entry && entry.status !== 'running') {
+        await historyStore.update(sessionId, { stillRunning: false });
+    } else {
+        await historyStore.update(sessionId, { status, endedAt: new Date().toISOString() });
+    }
+    startQueuedSessions();
+}
+
+// /jules end and reject_plan let go of a session, but Jules has no cancel endpoint:
+// it keeps its slot until the watcher sees it finish.
+async function recordSessionReleased(sessionId, status) {
+    const entry = await historyStore.get(sessionId);
+    if (entry && entry.status === 'running') {
+        await historyStore.update(sessionId, { status, endedAt: new Date().toISOString(), stillRunning: true });
+    }
+}
+
+// Persist progress only while the channel is still bound to this session.
+async function updateStoredSession(channelId, sessionId, patch) {
+    const record = await sessionStore.get(channelId);
+    if (record && record.sessionId === sessionId) {
+        await sessionStore.update(channelId, patch);
+    }
+}
+
+// Once the channel was ended or switched to another session, nothing is posted
+// there any more.
+async function isChannelBound(channelId, sessionId) {
+    const binding = await sessionStore.get(channelId);
+    return Boolean(binding && binding.sessionId === sessionId);
+}
+
+// An unbound session is only watched for as long as it holds a concurrency slot,
+// to give the slot back when Jules finishes it. Returns true to stop the watcher.
+async function trackUnboundSession(sessionId, channelId, activities = []) {
+    const entry = await historyStore.get(sessionId);
+    if (!entry || !(entry.status === 'running' || entry.stillRunning)) {
+        log.info('Channel is no longer bound to the session, stopping monitor', { sessionId, channelId });
+        return true;
+    }
+    const finished = activities.find(a => a.sessionCompleted || a.sessionFailed);
+    if (!finished) return false;
+    log.info('Unbound session finished', { sessionId, channelId });
+    await recordSessionFinished(sessionId, finished.sessionCompleted ? 'completed' : 'failed');
+    return true;
+}
+
+async function handleIdleSession(sessionId, channel, watcher) {
+    if (!(await isChannelBound(channel.id, sessionId))) return trackUnboundSession(sessionId, channel.id);
+
+    const state = watcher.state;
+    if (state.isWaitingForResponse && (Date.now() - state.lastMutterTime > 30000)) {
+        const { mutterPhrases } = await personaForChannel(channel);
+        const phrase = mutterPhrases[Math.floor(Math.random() * mutterPhrases.length)];
+        await channel.send(phrase);
+        state.lastMutterTime = Date.now();
+    }
+    return false;
+}
+
+// Edits the session's progress embed in place instead of posting one message per update.
+async function postProgress(channel, state, text) {
+    state.progressCount = (state.progressCount || 0) + 1;
+    const embed = buildProgressEmbed(text, state.progressCount);
+    if (state.progressMessage) {
+        try {
+            await state.progressMessage.edit({ embeds: [embed] });
+            return;
+        } catch (err) {
+            log.warn('Failed to edit progress message, posting a new one', { channelId: channel.id, err });
+        }
+    }
+    state.progressMessage = await channel.send({ embeds: [embed] });
+}
+
+async function handleNewActivities(sessionId, channel, newActivities, watcher) {
+    if (!(await isChannelBound(channel.id, sessionId))) return trackUnboundSession(sessionId, channel.id, newActivities);
+
+    const state = watcher.state;
+    const persona = await personaForChannel(channel);
+    // Found real activity, reset mutter timer
+    state.lastMutterTime = Date.now();
+
+    for (const activity of newActivities) {
+        if (activity.originator === 'user' && !(ECHO_USER_MESSAGES && activity.userMessaged)) continue;
+
+        const result = formatActivity(activity, persona);
+        if (!result) {
+            log.debug('Skipping activity with nothing to show', { sessionId, activityId: activity.id });
             continue;
         }
+        log.info('New activity', { sessionId, channelId: channel.id, activityId: activity.id, type: result.type });
+
+        // Update waiting state based on activity type
+        if (result.type === 'planGenerated') {
+            state.isWaitingForResponse = false; // Waiting for user approval
+        } else if (result.type === 'outputs') {
+            state.isWaitingForResponse = false; // Likely done
+            // Remembered so GitHub webhooks about this PR find their way back here
+            const pr = activity.outputs.find(o => o.pullRequest);
+            if (pr) {
+                await updateStoredSession(channel.id, sessionId, { pullRequestUrl: pr.pullRequest.url });
+                await historyStore.update(sessionId, { pullRequestUrl: pr.pullRequest.url });
+            }
+        } else if (result.type === 'agentMessaged') {
+            state.isWaitingForResponse = false; // Jules may be asking the user something
+        } else if (result.type === 'progressUpdated' || result.type === 'planApproved') {
+            state.isWaitingForResponse = true; // Still working
+        } else if (result.type === 'sessionFailed') {
+            const reply = await translateForPersona(result.content, persona);
+            await channel.send({ content: truncate(reply, DISCORD_MESSAGE_LIMIT), embeds: result.embeds });
+            await updateStoredSession(channel.id, sessionId, { seenIds: [...watcher.seenIds], completed: true, failed: true });
+            await recordSessionFinished(sessionId, 'failed');
+            return true;
+        } else if (result.type === 'sessionCompleted') {
+            await updateStoredSession(channel.id, sessionId, { seenIds: [...watcher.seenIds], completed: true });
+            await recordSessionFinished(sessionId, 'completed');
+            const record = await sessionStore.get(channel.id);
+            if (record && record.parentChannelId && channel.isThread()) {
+                await channel.setArchived(true).catch(err => log.error('Failed to archive thread', { sessionId, channelId: channel.id, err }));
+            }
+            return true;
+        }
 
-        const newActivities = data.activities.filter(a => !seenIds.has(a.id));
+        let textToSend = result.content;
+        if (result.type === 'userMessaged') {
+            textToSend = textToSend.split('\n').map(line => `> ${line}`).join('\n');
+        } else if (textToSend) {
+             textToSend = await translateForPersona(textToSend, persona);
+        }
 
-        if (newActivities.length > 0) {
-            // Found real activity, reset mutter timer
-            lastMutterTime = Date.now();
+        if (result.type === 'progressUpdated') {
+            await postProgress(channel, state, textToSend);
+            textToSend = null; // already shown in the progress embed
         } else {
-             // No NEW activity, but activity list wasn't empty. Same mutter logic.
-             if (isWaitingForResponse && (Date.now() - lastMutterTime > 30000)) {
-                const phrase = MUTTER_PHRASES[Math.floor(Math.random() * MUTTER_PHRASES.length)];
-                await channel.send(phrase);
-                lastMutterTime = Date.now();
+            // Later progress goes into a fresh embed below this message
+            state.progressMessage = null;
+        }
+
+        const payload = {};
+        if (textToSend) payload.content = truncate(textToSend, DISCORD_MESSAGE_LIMIT);
+        if (result.embeds.length > 0) payload.embeds = result.embeds;
+        if (result.files.length > 0) payload.files = result.files;
+
+        // If planGenerated, add plan review buttons
+        if (result.type === 'planGenerated') {
+            payload.components = [buildPlanReviewRow(sessionId)];
+        }
+
+        if (payload.content || payload.embeds || payload.files) {
+             await channel.send(payload);
+        }
+    }
+
+    await updateStoredSession(channel.id, sessionId, { seenIds: [...watcher.seenIds] });
+    return false;
+}
+
+// Restart monitoring for every persisted session that has not completed yet.
+// Activities recorded in seenIds were already posted and are not re-sent.
+async function resumeSessions() {
+    const records = await sessionStore.list();
+    for (const record of records) {
+        if (record.completed || activityPoller.isWatching(record.sessionId)) continue;
+        try {
+            const channel = await client.channels.fetch(record.channelId);
+            if (!channel) continue;
+            log.info('Resuming session', { sessionId: record.sessionId, channelId: record.channelId });
+            monitorSession(record.sessionId, channel, record.seenIds || [])
+                .catch(err => log.error('Failed to monitor session', { sessionId: record.sessionId, channelId: record.channelId, err }));
+        } catch (err) {
+            log.error('Failed to resume session', { sessionId: record.sessionId, channelId: record.channelId, err });
+        }
+    }
+
+    // Ended, rejected or switched-away sessions Jules may still be working on
+    for (const entry of await historyStore.running()) {
+        if (activityPoller.isWatching(entry.sessionId)) continue;
+        try {
+            const activities = await jules.listAllActivities(entry.sessionId);
+            if (await trackUnboundSession(entry.sessionId, entry.channelId, activities)) continue;
+            const channel = await client.channels.fetch(entry.channelId);
+            if (channel) await monitorSession(entry.sessionId, channel, activities.map(a => a.id));
+        } catch (err) {
+            if (isSessionGone(err)) {
+                await closeDeletedSession(entry.sessionId, entry.channelId);
+                continue;
             }
+            log.error('Failed to resume session', { sessionId: entry.sessionId, channelId: entry.channelId, err });
         }
+    }
+}
 
-        for (const activity of newActivities) {
-            seenIds.add(activity.id);
+async function translateToEnglish(text, persona) {
+    if (!text || text.length < 2 || !needsTranslation(persona)) return text;
+    try {
+        return await translationPipeline.translate(text, `to-en:${persona.language}`,
+            (masked) => llm.translate(masked, { from: persona.languageName, to: 'English' }));
+    } catch (e) {
+        log.error('Translation to English failed', { err: e });
+        return text;
+    }
+}
 
-            if (activity.originator === 'user') continue;
+const ATTACHMENT_NOTES = { truncated: 'attachmentTruncated', described: 'attachmentDescribed', linked: 'attachmentLinked' };
+const ATTACHMENT_SKIP_REASONS = { tooLarge: 'attachmentTooLarge', unsupported: 'attachmentUnsupported', failed: 'attachmentFailed' };
+
+// Adds the conversation context and the message's attachments to its (already
+// translated) prompt. Returns the prompt and a confirmation of what was added,
+// or null when nothing was.
+async function buildPromptFromMessage(message, prompt, persona) {
+    const context = await messageContextBuilder.build(message);
+    const lines = [];
+    if (context.text) {
+        prompt = [prompt, context.text].filter(Boolean).join('\n\n');
+        lines.push(t(persona, 'contextIncluded', { count: context.count }));
+    }
+    if (!message.attachments || message.attachments.size === 0) {
+        return { prompt, confirmation: lines.length > 0 ? lines.join('\n') : null };
+    }
 
-            const result = formatActivity(activity);
-            if (result) {
-                console.log(`Found activity: ${result.content}`);
+    const { sections, included, skipped } = await attachmentCollector.collect(message.attachments.values());
+    if (included.length > 0) {
+        const files = included.map(f => f.note ? `\`${f.name}\` (${t(persona, ATTACHMENT_NOTES[f.note])})` : `\`${f.name}\``);
+        lines.push(t(persona, 'attachmentsIncluded', { files: files.join(', ') }));
+    }
+    if (skipped.length > 0) {
+        const files = skipped.map(f => `\`${f.name}\` (${t(persona, ATTACHMENT_SKIP_REASONS[f.reason])})`);
+        lines.push(t(persona, 'attachmentsSkipped', { files: files.join(', ') }));
+    }
+    return { prompt: appendAttachments(prompt, sections), confirmation: lines.join('\n') };
+}
 
-                // Update waiting state based on activity type
-                if (result.type === 'planGenerated') {
-                    isWaitingForResponse = false; // Waiting for user approval
-                } else if (result.type === 'outputs') {
-                    isWaitingForResponse = false; // Likely done
-                } else if (result.type === 'progressUpdated') {
-                    isWaitingForResponse = true; // Still working
-                } else if (result.type === 'sessionCompleted') {
-                    return;
-                }
+// Rewrites Jules output in the persona's language and voice.
+async function translateForPersona(text, persona) {
+    if (!text || !needsTranslation(persona)) return text;
+    try {
+        return await translationPipeline.translate(text, `persona:${persona.id}`,
+            (masked) => llm.personaRewrite(masked, persona));
+    } catch (e) {
+        log.error('Persona translation failed', { persona: persona.id, err: e });
+         return text;
+    }
+}
 
-                let textToSend = result.content;
-                if (textToSend) {
-                     textToSend = await translateToJapanesePersona(textToSend);
-                }
+// --- Plan Review ---
+function buildPlanReviewRow(sessionId) {
+    const confirm = new ButtonBuilder()
+        .setCustomId(`approve_plan:${sessionId}`)
+        .setLabel('Approve Plan')
+        .setStyle(ButtonStyle.Success);
 
-                const payload = { content: textToSend || "..." };
-                if (result.files.length > 0) {
-                    payload.files = result.files;
-                }
+    const requestChanges = new ButtonBuilder()
+        .setCustomId(`request_changes:${sessionId}`)
+        .setLabel('Request Changes')
+        .setStyle(ButtonStyle.Primary);
 
-                // If planGenerated, add Approve Button
-                if (result.type === 'planGenerated') {
-                    const confirm = new ButtonBuilder()
-			            .setCustomId(`approve_plan:${sessionId}`)
-			            .setLabel('Approve Plan')
-			            .setStyle(ButtonStyle.Success);
+    const reject = new ButtonBuilder()
+        .setCustomId(`reject_plan:${sessionId}`)
+        .setLabel('Reject')
+        .setStyle(ButtonStyle.Danger);
 
-		            const row = new ActionRowBuilder()
-			            .addComponents(confirm);
+    return new ActionRowBuilder().addComponents(confirm, requestChanges, reject);
+}
 
-                    payload.components = [row];
-                }
+// Appends who did what (and when) to the plan message and removes its buttons.
+function updatePlanMessage(interaction, status) {
+    const userId = getInteractionUserId(interaction);
+    const timestamp = Math.floor(Date.now() / 1000);
+    return {
+        type: InteractionResponseType.UPDATE_MESSAGE,
+        data: {
+            content: `${interaction.message.content}\n\n${status}\n— <@${userId}> (<t:${timestamp}:f>)`,
+            components: [] // Remove buttons
+        }
+    };
+}
 
-                if (textToSend || result.files.length > 0) {
-                     await channel.send(payload);
-                }
-            }
+// Request Changes answers with a modal, which cannot be deferred: its Jules lookup
+// gets one short attempt so the interaction still answers within 3 seconds.
+const UNDEFERRED_LOOKUP = { retry: false, timeoutMs: 1500 };
+
+async function handlePlanReviewButton(interaction, action, sessionId, persona) {
+    const source = await sourceForSession(interaction.channel_id, sessionId, action === 'request_changes' ? UNDEFERRED_LOOKUP : {});
+    const decision = permissions.check(interactionActor(interaction), CAPABILITIES.APPROVE_PLAN, { source });
+    if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+
+    if (action === 'approve_plan') {
+        log.info('Approving plan', { sessionId, channelId: interaction.channel_id, interactionId: interaction.id });
+        await jules.approvePlan(sessionId);
+        plansApproved.inc();
+        activityPoller.nudge(sessionId);
+        return updatePlanMessage(interaction, t(persona, 'planApproved'));
+    }
+
+    if (action === 'request_changes') {
+        const feedback = new TextInputBuilder()
+            .setCustomId('feedback')
+            .setLabel(t(persona, 'feedbackLabel'))
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(true)
+            .setMaxLength(4000);
+
+        const modal = new ModalBuilder()
+            .setCustomId(`plan_feedback:${sessionId}`)
+            .setTitle('Request Changes')
+            .addComponents(new ActionRowBuilder().addComponents(feedback));
+
+        return {
+            type: InteractionResponseType.MODAL,
+            data: modal.toJSON()
+        };
+    }
+
+    if (action === 'reject_plan') {
+        log.info('Rejecting plan', { sessionId, channelId: interaction.channel_id, interactionId: interaction.id });
+        // Jules has no cancel endpoint, so unbind the channel; the monitor stops on its next poll.
+        const record = await sessionStore.get(interaction.channel_id);
+        if (record && record.sessionId === sessionId) {
+            await sessionStore.delete(interaction.channel_id);
         }
+        await recordSessionReleased(sessionId, 'rejected');
+        return updatePlanMessage(interaction, t(persona, 'planRejected'));
+    }
+
+    return ephemeral(t(persona, 'unknownButton', { action }));
+}
+
+async function handlePlanFeedbackSubmit(interaction, sessionId, persona) {
+    const source = await sourceForSession(interaction.channel_id, sessionId);
+    const decision = permissions.check(interactionActor(interaction), CAPABILITIES.APPROVE_PLAN, { source });
+    if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+
+    const input = interaction.data.components
+        .flatMap(row => row.components)
+        .find(c => c.custom_id === 'feedback');
+    const feedback = input ? input.value.trim() : '';
+    if (!feedback) {
+        return ephemeral(t(persona, 'feedbackEmpty'));
     }
+
+    log.info('Requesting plan changes', { sessionId, channelId: interaction.channel_id, interactionId: interaction.id });
+    const englishFeedback = await translateToEnglish(feedback, persona);
+    await startMonitorForChannel(sessionId, interaction.channel_id);
+    await jules.sendMessage(sessionId, englishFeedback);
+    activityPoller.nudge(sessionId);
+
+    const quoted = feedback.split('\n').map(line => `> ${line}`).join('\n');
+    return updatePlanMessage(interaction, `${t(persona, 'changesRequested')}\n${quoted}`);
+}
+
+
+// --- /jules Slash Commands ---
+function getInteractionUserId(interaction) {
+    return interaction.member ? interaction.member.user.id : interaction.user.id;
+}
+
+function interactionActor(interaction) {
+    return {
+        userId: getInteractionUserId(interaction),
+        roleIds: interaction.member ? interaction.member.roles : []
+    };
+}
+
+// Where a message or command came from, for the source registry
+function messagePlace(message) {
+    return {
+        guildId: message.guild ? message.guild.id : undefined,
+        channelId: message.channel.id,
+        parentId: message.channel.isThread() ? message.channel.parentId : undefined
+    };
+}
+
+const THREAD_CHANNEL_TYPES = [10, 11, 12];
+
+function interactionPlace(interaction) {
+    const channel = interaction.channel || {};
+    return {
+        guildId: interaction.guild_id,
+        channelId: interaction.channel_id,
+        parentId: THREAD_CHANNEL_TYPES.includes(channel.type) ? channel.parent_id : undefined
+    };
+}
+
+function messageActor(message) {
+    return {
+        userId: message.author.id,
+        roleIds: message.member ? Array.from(message.member.roles.cache.keys()) : []
+    };
+}
+
+function deniedMessage(decision, persona) {
+    return t(persona, 'permissionDenied', { reason: decision.reason });
 }
 
-async function listActivities(sessionId, pageToken = null) {
-    let url = `https://jules.googleapis.com/v1alpha/${sessionId}/activities?pageSize=100`;
-    if (pageToken) {
-        url += `&pageToken=${pageToken}`;
+// Channel setting, then the thread's parent channel, then the guild, then DEFAULT_PERSONA.
+async function resolvePersona({ channelId, parentId, guildId }) {
+    const scopes = [['channels', channelId], ['channels', parentId], ['guilds', guildId]];
+    for (const [scope, id] of scopes) {
+        if (!id) continue;
+        const settings = await settingsStore.get(scope, id);
+        if (settings.persona) return getPersona(settings.persona);
     }
-    const response = await fetch(url, {
-        method: 'GET',
-        headers: { 'X-Goog-Api-Key': JULES_API_KEY }
+    return getPersona();
+}
+
+function personaForChannel(channel) {
+    return resolvePersona({ channelId: channel.id, parentId: channel.parentId, guildId: channel.guildId });
+}
+
+function personaForInteraction(interaction) {
+    return resolvePersona({
+        channelId: interaction.channel_id,
+        parentId: interaction.channel ? interaction.channel.parent_id : null,
+        guildId: interaction.guild_id
     });
-    if (!response.ok) return null;
-    return await response.json();
 }
 
-async function translateToEnglish(text) {
-    if (!text || text.length < 2) return text;
+// Source of a session for permission checks: the channel binding, then the history,
+// then Jules (`lookup` is passed to getSession). null when none of them knows, which
+// permissions.check denies.
+async function sourceForSession(channelId, sessionId, lookup = {}) {
+    const record = await sessionStore.get(channelId);
+    if (record && record.sessionId === sessionId && record.source) return record.source;
+    const entry = await historyStore.get(sessionId);
+    if (entry && entry.source) return entry.source;
     try {
-        const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-        const prompt = `Translate the following Japanese text to English. If it is already English, return it as is. Output only the translation:\n\n${text}`;
-        const result = await model.generateContent(prompt);
-        return result.response.text().trim();
-    } catch (e) {
-        console.error("TranslateToEnglish Error:", e);
-        return text;
+        const session = await jules.getSession(sessionId, lookup);
+        return (session.sourceContext && session.sourceContext.source) || null;
+    } catch (err) {
+        log.warn('Failed to look up the source of a session', { sessionId, err });
+        return null;
+    }
+}
+
+function getOptionValue(options, name) {
+    const option = (options || []).find(o => o.name === name);
+    return option ? option.value : undefined;
+}
+
+// Session options given to /jules start or /jules defaults (undefined when omitted)
+function sessionOptionOverrides(options) {
+    return {
+        automationMode: getOptionValue(options, 'automation'),
+        requirePlanApproval: getOptionValue(options, 'plan_approval'),
+        startingBranch: getOptionValue(options, 'branch'),
+        useThread: getOptionValue(options, 'thread')
+    };
+}
+
+// "123" or "sessions/123" -> "sessions/123"; null for anything else, so user input
+// never reaches other Jules API paths
+const SESSION_ID_PATTERN = /^sessions\/[A-Za-z0-9_-]+$/;
+
+function normalizeSessionId(id) {
+    const trimmed = String(id || '').trim();
+    const sessionId = trimmed.startsWith('sessions/') ? trimmed : `sessions/${trimmed}`;
+    return SESSION_ID_PATTERN.test(sessionId) ? sessionId : null;
+}
+
+// Deferred as ephemeral: these only ever answer the user who ran them
+const HIDDEN_JULES_SUBCOMMANDS = ['defaults', 'list', 'history', 'queue', 'source list', 'template list'];
+
+const HISTORY_PAGE_SIZE = 15;
+const HISTORY_STATUS_ICONS = { running: '⏳', completed: '✅', failed: '❌', rejected: '🚫', ended: '⏹️' };
+
+// 42s, 7m, 1h 5m, 2d 3h
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return `${Math.max(0, Math.floor(ms / 1000))}s`;
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function ephemeral(content) {
+    return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content, flags: 64 }
+    };
+}
+
+// Starts monitoring in the given channel if the gateway client is logged in.
+// Otherwise the session is picked up by resumeSessions() once it is.
+async function startMonitorForChannel(sessionId, channelId, seenIds = null) {
+    if (!client.isReady()) return;
+    const channel = await client.channels.fetch(channelId);
+    if (channel) {
+        await monitorSession(sessionId, channel, seenIds);
     }
 }
 
-async function translateToJapanesePersona(text) {
-    if (!text) return text;
+// The subcommand option, unwrapping subcommand groups (/jules source set)
+function julesSubcommand(interaction) {
+    const option = interaction.data.options[0];
+    return option.type === 2 ? option.options[0] : option;
+}
+
+// "start", or "source list" for a subcommand in a group
+function julesSubcommandName(interaction) {
+    const option = interaction.data.options[0];
+    return option.type === 2 ? `${option.name} ${option.options[0].name}` : option.name;
+}
+
+let sourceListCache = { fetchedAt: 0, sources: null };
+
+// Autocomplete runs on every keystroke, so it reuses the source list for SOURCE_CACHE_MS.
+async function listSourcesCached() {
+    if (Date.now() - sourceListCache.fetchedAt < SOURCE_CACHE_MS && sourceListCache.sources) return sourceListCache.sources;
+    const sources = await jules.listAllSources();
+    sourceListCache = { fetchedAt: Date.now(), sources };
+    return sources;
+}
+
+async function handleJulesAutocomplete(interaction) {
+    const subcommand = julesSubcommand(interaction);
+    const focused = (subcommand.options || []).find(o => o.focused);
+    let choices = [];
+
+    if (focused && focused.name === 'repo') {
+        const query = String(focused.value || '').toLowerCase();
+        const registry = await sourceRegistry.get(interactionPlace(interaction));
+        const aliasesOf = s => Object.keys(registry.aliases).filter(alias => registry.aliases[alias] === s.name);
+        let sources = await listSourcesCached();
+        // Registry management sees every source; starting a session only the pinned ones
+        if (['start', 'run'].includes(subcommand.name)) sources = sourceRegistry.offered(sources, registry);
+        choices = sources
+            .filter(s => s.name.toLowerCase().includes(query) || sourceLabel(s).toLowerCase().includes(query)
+                || aliasesOf(s).some(alias => alias.includes(query)))
+            .slice(0, 25)
+            .map(s => {
+                const aliases = aliasesOf(s);
+                return { name: (aliases.length > 0 ? `${sourceLabel(s)} (${aliases.join(', ')})` : sourceLabel(s)).slice(0, 100), value: s.name };
+            });
+    } else if (focused && focused.name === 'template') {
+        const query = String(focused.value || '').toLowerCase();
+        const templates = await templateStore.list(interactionPlace(interaction));
+        choices = templates
+            .filter(template => template.name.includes(query))
+            .slice(0, 25)
+            .map(template => ({ name: `${template.name} — ${template.prompt.split('\n')[0]}`.slice(0, 100), value: template.name }));
+    } else if (focused && focused.name === 'name') {
+        const query = String(focused.value || '').toLowerCase();
+        choices = listPersonas()
+            .filter(p => p.id.includes(query) || p.name.toLowerCase().includes(query))
+            .slice(0, 25)
+            .map(p => ({ name: `${p.name} (${p.id})`.slice(0, 100), value: p.id }));
+    }
+
+    return {
+        type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+        data: { choices }
+    };
+}
+
+// 📌 pinned, ⭐ this channel's default, followed by the aliases
+function formatSourceRegistry(sources, registry, persona) {
+    const lines = sources.map(s => {
+        const markers = `${s.name === registry.channelDefault ? '⭐' : ''}${registry.pinned.includes(s.name) ? '📌' : ''}`;
+        const aliases = Object.keys(registry.aliases).filter(alias => registry.aliases[alias] === s.name);
+        return `${markers ? `${markers} ` : ''}\`${sourceLabel(s)}\`${aliases.length > 0 ? ` — ${aliases.join(', ')}` : ''}`;
+    });
+    return truncate([t(persona, 'sourceListLegend'), ...lines].join('\n'), DISCORD_MESSAGE_LIMIT);
+}
+
+// /jules source set|list: aliases, pinned sources and the channel's default source
+async function handleSourceCommand(interaction, subcommand, persona) {
+    const place = interactionPlace(interaction);
+    const sources = await jules.listAllSources();
+
+    if (subcommand.name === 'list') {
+        if (sources.length === 0) return ephemeral(t(persona, 'noSources'));
+        return ephemeral(formatSourceRegistry(sources, await sourceRegistry.get(place), persona));
+    }
+
+    const repo = getOptionValue(subcommand.options, 'repo');
+    const aliasValue = getOptionValue(subcommand.options, 'alias');
+    const channelDefault = getOptionValue(subcommand.options, 'channel_default');
+    const pinned = getOptionValue(subcommand.options, 'pinned');
+    if (aliasValue === undefined && channelDefault === undefined && pinned === undefined) {
+        return ephemeral(t(persona, 'sourceSetNothing'));
+    }
+
+    // Without a repo an alias is removed and channel_default:false clears the default
+    let source = null;
+    if (repo) {
+        source = await sourceRegistry.resolve(repo, sources, place);
+        if (!source) return ephemeral(t(persona, 'sourceNotFound', { repo }));
+    } else if (channelDefault || pinned !== undefined) {
+        return ephemeral(t(persona, 'sourceSetNeedsRepo'));
+    }
+    const alias = aliasValue === undefined ? undefined : normalizeAlias(aliasValue);
+    if (alias === null) return ephemeral(t(persona, 'aliasInvalid', { alias: aliasValue }));
+
+    const decision = permissions.check(interactionActor(interaction), CAPABILITIES.MANAGE_SOURCES, { source: source ? source.name : undefined });
+    if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+
+    const label = source ? sourceLabel(source) : null;
+    const changes = [];
+    if (alias !== undefined) {
+        await sourceRegistry.setAlias(place, alias, source ? source.name : null);
+        changes.push(t(persona, source ? 'aliasSet' : 'aliasRemoved', { alias, source: label }));
+    }
+    if (channelDefault !== undefined) {
+        await sourceRegistry.setChannelDefault(place.channelId, channelDefault ? source.name : null);
+        changes.push(t(persona, channelDefault ? 'channelDefaultSet' : 'channelDefaultCleared', { source: label }));
+    }
+    if (pinned !== undefined) {
+        await sourceRegistry.setPinned(place, source.name, pinned);
+        changes.push(t(persona, pinned ? 'sourcePinned' : 'sourceUnpinned', { source: label }));
+    }
+    log.info('Source registry updated', { channelId: place.channelId, guildId: place.guildId, source: source && source.name, alias, channelDefault, pinned });
+
+    return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: changes.join('\n') }
+    };
+}
+
+// Starts (or queues, over the concurrency limits) a session for /jules start or /jules run
+async function startCommandSession(interaction, { source, prompt, options, persona, origin }) {
+    const channelId = interaction.channel_id;
+    const englishPrompt = await translateToEnglish(prompt, persona);
+    const request = {
+        guildId: interaction.guild_id,
+        channelId,
+        userId: getInteractionUserId(interaction),
+        source: source.name,
+        prompt: englishPrompt,
+        typedPrompt: prompt,
+        options,
+        origin
+    };
+    const slot = await withSessionSlots(async () => {
+        const limit = await sessionQueue.check(request);
+        if (!limit.allowed) return { queuedReply: await enqueueSession(request, limit, persona) };
+        return { release: reserveSessionSlot(request) };
+    });
+    if (slot.queuedReply) {
+        return {
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: { content: slot.queuedReply }
+        };
+    }
+    let sessionId, targetChannelId;
     try {
-        const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-        const prompt = `Translate the following text to Japanese. The speaker is a slightly timid but honest boy (ちょっとおどおどしてるけど素直な男の子).
+        // Threads and monitors need the gateway client; without it the session stays in the channel.
+        const channel = client.isReady() ? await client.channels.fetch(channelId) : null;
+        ({ sessionId, channelId: targetChannelId } = await launchSession({ ...request, source, channel, persona }));
+    } finally {
+        slot.release();
+    }
 
-        Rules:
-        1. Keep the persona consistent.
-        2. Do NOT translate code blocks (content inside \`\`\`) or URLs.
-        3. Keep technical terms (like "npm install", "Pull Request", "React") in English or Katakana as appropriate for a developer chat.
-        4. If the text is a log output, keep it mostly as is, just add a timid comment at the start.
-        5. If the text mentions "I took a screenshot", say something cute like "スクショ撮ってみたよ！".
+    const where = targetChannelId !== channelId ? ` → <#${targetChannelId}>` : '';
+    const quoted = prompt.split('\n').map(line => `> ${line}`).join('\n');
+    return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content: truncate(`${t(persona, 'preparing', { source: source.name.split('/').pop(), options: formatSessionOptions(options, persona) })}${where}\n\`${sessionId}\`\n${quoted}`, DISCORD_MESSAGE_LIMIT)
+        }
+    };
+}
 
-        Text to translate:
-        \n\n${text}`;
+// --- Prompt Templates ---
+const TEMPLATE_RUN_TTL_MS = 15 * 60000; // interaction tokens expire after 15 minutes
+// /jules run waiting for its modal: interaction ID -> { name, repo, expiresAt }
+const pendingTemplateRuns = new Map();
+
+// /jules template add|list|remove (run is handled by handleTemplateRun)
+async function handleTemplateCommand(interaction, subcommand, persona) {
+    const place = interactionPlace(interaction);
+
+    if (subcommand.name === 'list') {
+        const templates = await templateStore.list(place);
+        if (templates.length === 0) return ephemeral(t(persona, 'templatesEmpty'));
+        const lines = templates.map(template => {
+            const task = truncate(template.prompt.split('\n')[0], 80);
+            const repo = template.source ? ` (${template.source.split('/').pop()})` : '';
+            return `${template.readOnly ? '🔒 ' : ''}**${template.name}**${repo} — ${task}`;
+        });
+        return ephemeral(truncate([t(persona, 'templatesShown'), ...lines].join('\n'), DISCORD_MESSAGE_LIMIT));
+    }
 
-        const result = await model.generateContent(prompt);
-        return result.response.text().trim();
-    } catch (e) {
-         console.error("TranslateToJapanesePersona Error:", e);
-         return text;
+    const decision = permissions.check(interactionActor(interaction), CAPABILITIES.MANAGE_TEMPLATES);
+    if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+
+    const rawName = getOptionValue(subcommand.options, subcommand.name === 'add' ? 'name' : 'template');
+    const name = normalizeTemplateName(rawName);
+    if (!name) return ephemeral(t(persona, 'templateNameInvalid', { name: rawName }));
+    const existing = await templateStore.get(place, name);
+    if (existing && existing.readOnly) return ephemeral(t(persona, 'templateReadOnly', { name }));
+
+    if (subcommand.name === 'remove') {
+        if (!(await templateStore.remove(place, name))) return ephemeral(t(persona, 'templateNotFound', { name }));
+        log.info('Removed prompt template', { name, guildId: place.guildId, channelId: place.channelId });
+        return {
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: { content: t(persona, 'templateRemoved', { name }) }
+        };
+    }
+
+    const prompt = getOptionValue(subcommand.options, 'prompt');
+    const placeholders = placeholdersOf(prompt);
+    if (placeholders.length > MAX_PLACEHOLDERS) {
+        return ephemeral(t(persona, 'templateTooManyPlaceholders', { max: MAX_PLACEHOLDERS }));
+    }
+    const repo = getOptionValue(subcommand.options, 'repo');
+    let source = null;
+    if (repo) {
+        source = await sourceRegistry.resolve(repo, await jules.listAllSources(), place);
+        if (!source) return ephemeral(t(persona, 'sourceNotFound', { repo }));
     }
+    const options = Object.fromEntries(Object.entries(sessionOptionOverrides(subcommand.options)).filter(([, value]) => value !== undefined));
+
+    await templateStore.save(place, { name, prompt, source: source ? source.name : null, options });
+    log.info('Saved prompt template', { name, guildId: place.guildId, channelId: place.channelId, source: source && source.name });
+    return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+            content: t(persona, 'templateSaved', {
+                name,
+                placeholders: placeholders.length > 0 ? placeholders.map(p => `{${p}}`).join(', ') : '-'
+            })
+        }
+    };
 }
 
-async function identifySourceWithGemini(userMessage, sources) {
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    
-    const sourcesList = sources.map((s, i) => `${i}. ${s.name} (Repo: ${s.githubRepo?.owner}/${s.githubRepo?.name})`).join('\n');
+// /jules run and /jules template run. A template with placeholders is answered
+// with a modal, which has to be the immediate response, so only the template
+// lookup (in memory) happens here; everything else waits for the modal submit.
+async function handleTemplateRun(res, interaction, persona, interactionLog) {
+    const subcommand = julesSubcommand(interaction);
+    const name = getOptionValue(subcommand.options, 'template');
+    const repo = getOptionValue(subcommand.options, 'repo');
+    const template = await templateStore.get(interactionPlace(interaction), name);
+    if (!template) return res.json(ephemeral(t(persona, 'templateNotFound', { name })));
+
+    const placeholders = placeholdersOf(template.prompt);
+    if (placeholders.length === 0) {
+        return deferInteraction(res, interaction, () => runTemplate(interaction, template, repo, {}, persona), {
+            persona, interactionLog, failure: '/jules run failed'
+        });
+    }
 
-    const prompt = `
-    You are a setup assistant for a coding bot. 
-    The user wants to start a session but needs to select a source repository first.
-    
-    Available Sources:
-    ${sourcesList}
-    
-    User Message: "${userMessage}"
-    
-    Task:
-    1. If the user's message clearly identifies a specific source (by name, number, or description like "the chat app"), return the index (0-based) of that source.
-    2. If the user's message is generic (e.g. "hi", "start", "help me code") or ambiguous, generate a polite, conversational reply asking them to specify which repository to work on. List the options in your reply naturally.
-    3. If the user asks a general question not related to coding or sources, try to guide them to pick a source first.
+    const now = Date.now();
+    for (const [id, pending] of pendingTemplateRuns) {
+        if (pending.expiresAt < now) pendingTemplateRuns.delete(id);
+    }
+    pendingTemplateRuns.set(interaction.id, { name: template.name, repo, expiresAt: now + TEMPLATE_RUN_TTL_MS });
+
+    const modal = new ModalBuilder()
+        .setCustomId(`run_template:${interaction.id}`)
+        .setTitle(truncate(t(persona, 'templateModalTitle', { name: template.name }), 45))
+        .addComponents(placeholders.map(placeholder => new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId(placeholder)
+                .setLabel(placeholder)
+                .setStyle(TextInputStyle.Short)
+                .setRequired(true)
+                .setMaxLength(1000)
+        )));
+    return res.json({
+        type: InteractionResponseType.MODAL,
+        data: modal.toJSON()
+    });
+}
+
+async function handleTemplateModalSubmit(interaction, runId, persona) {
+    const pending = pendingTemplateRuns.get(runId);
+    pendingTemplateRuns.delete(runId);
+    if (!pending || pending.expiresAt < Date.now()) return ephemeral(t(persona, 'templateRunExpired'));
+
+    const template = await templateStore.get(interactionPlace(interaction), pending.name);
+    if (!template) return ephemeral(t(persona, 'templateNotFound', { name: pending.name }));
+    const values = Object.fromEntries(interaction.data.components
+        .flatMap(row => row.components)
+        .map(input => [input.custom_id, input.value.trim()]));
+    return runTemplate(interaction, template, pending.repo, values, persona);
+}
+
+// Fills in the template and starts its session. The source never goes through the
+// LLM: the repo option, else the template's source, else the channel default.
+async function runTemplate(interaction, template, repo, values, persona) {
+    const place = interactionPlace(interaction);
+    const wanted = repo || template.source || (await sourceRegistry.get(place)).channelDefault;
+    if (!wanted) return ephemeral(t(persona, 'templateNeedsRepo', { name: template.name }));
+    const source = await sourceRegistry.resolve(wanted, await jules.listAllSources(), place);
+    if (!source) return ephemeral(t(persona, 'sourceNotFound', { repo: wanted }));
+
+    const decision = permissions.check(interactionActor(interaction), CAPABILITIES.START_SESSION, { source: source.name });
+    if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+
+    const prompt = fillTemplate(template.prompt, values);
+    const options = await resolveSessionOptions(interaction.channel_id, template.options);
+    log.info('Running prompt template', { name: template.name, source: source.name, channelId: interaction.channel_id, interactionId: interaction.id });
+    return startCommandSession(interaction, { source, prompt, options, persona, origin: 'template' });
+}
+
+async function handleJulesCommand(interaction, persona) {
+    const subcommand = interaction.data.options[0];
+    const channelId = interaction.channel_id;
+    log.info('Received /jules', { subcommand: julesSubcommandName(interaction), channelId, interactionId: interaction.id });
+
+    if (subcommand.name === 'source') {
+        return handleSourceCommand(interaction, subcommand.options[0], persona);
+    }
+
+    if (subcommand.name === 'template') {
+        return handleTemplateCommand(interaction, subcommand.options[0], persona);
+    }
+
+    if (subcommand.name === 'start') {
+        const repo = getOptionValue(subcommand.options, 'repo');
+        const prompt = getOptionValue(subcommand.options, 'prompt');
+
+        const sources = await jules.listAllSources();
+        const selectedSource = await sourceRegistry.resolve(repo, sources, interactionPlace(interaction));
+        if (!selectedSource) {
+            return ephemeral(t(persona, 'sourceNotFound', { repo }));
+        }
+
+        const decision = permissions.check(interactionActor(interaction), CAPABILITIES.START_SESSION, { source: selectedSource.name });
+        if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+
+        const options = await resolveSessionOptions(channelId, sessionOptionOverrides(subcommand.options));
+
+        return startCommandSession(interaction, { source: selectedSource, prompt, options, persona, origin: 'command' });
+    }
 
-    Constraint: The 'reply' must be in Japanese. The persona is a slightly timid but honest boy (ちょっとおどおどしてるけど素直な男の子).
+    if (subcommand.name === 'defaults') {
+        // Showing the defaults is open to anyone who may start sessions; changing them affects the whole channel
+        const clear = getOptionValue(subcommand.options, 'clear');
+        const changes = sessionOptionOverrides(subcommand.options);
+        const changing = clear || Object.values(changes).some(value => value !== undefined);
+        const decision = permissions.check(interactionActor(interaction), changing ? CAPABILITIES.MANAGE_SETTINGS : CAPABILITIES.START_SESSION);
+        if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
 
-    Return ONLY raw JSON (no markdown formatting):
-    {
-        "matchIndex": number | null,
-        "reply": string | null
+        const channelSettings = await settingsStore.get('channels', channelId);
+        let sessionOptions = { ...(channelSettings.sessionOptions || {}) };
+
+        if (clear) {
+            sessionOptions = {};
+        }
+        for (const [key, value] of Object.entries(changes)) {
+            if (value !== undefined) sessionOptions[key] = value;
+        }
+
+        await settingsStore.update('channels', channelId, {
+            sessionOptions: Object.keys(sessionOptions).length > 0 ? sessionOptions : null
+        });
+        const effective = await resolveSessionOptions(channelId);
+        return ephemeral(t(persona, 'defaultsShown', { options: formatSessionOptions(effective, persona) }));
+    }
+
+    if (subcommand.name === 'persona') {
+        const decision = permissions.check(interactionActor(interaction), CAPABILITIES.MANAGE_SETTINGS);
+        if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+
+        const personaId = getOptionValue(subcommand.options, 'name');
+        if (!listPersonas().some(p => p.id === personaId)) {
+            return ephemeral(t(persona, 'personaNotFound', { persona: personaId }));
+        }
+        const scope = getOptionValue(subcommand.options, 'scope') === 'guild' && interaction.guild_id ? 'guild' : 'channel';
+        if (scope === 'guild') {
+            await settingsStore.update('guilds', interaction.guild_id, { persona: personaId });
+        } else {
+            await settingsStore.update('channels', channelId, { persona: personaId });
+        }
+
+        const selected = getPersona(personaId);
+        return {
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+                content: t(selected, 'personaSet', {
+                    scope: t(selected, scope === 'guild' ? 'scopeGuild' : 'scopeChannel'),
+                    persona: selected.name
+                })
+            }
+        };
+    }
+
+    if (subcommand.name === 'status') {
+        const record = await sessionStore.get(channelId);
+        if (!record) {
+            return ephemeral(t(persona, 'noSessionStart'));
+        }
+
+        const session = await jules.getSession(record.sessionId);
+        const activities = await jules.listAllActivities(record.sessionId);
+        const lastFormatted = activities.slice().reverse().map(a => formatActivity(a, persona)).find(Boolean);
+        const pr = (session.outputs || []).find(o => o.pullRequest);
+
+        const embed = new EmbedBuilder()
+            .setTitle(truncate(session.title || record.sessionId, EMBED_TITLE_LIMIT))
+            .setColor(0x4285F4)
+            .addFields(
+                { name: 'State', value: session.state || 'UNKNOWN', inline: true },
+                { name: 'Source', value: (session.sourceContext && session.sourceContext.source) || record.source || '-', inline: true },
+                { name: 'Last activity', value: lastFormatted ? truncate(lastFormatted.content || lastFormatted.type, EMBED_FIELD_LIMIT) : '-' },
+                { name: 'Pull Request', value: pr ? pr.pullRequest.url : '-' }
+            )
+            .setFooter({ text: record.sessionId });
+        if (session.url) embed.setURL(session.url);
+
+        return {
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: { embeds: [embed.toJSON()] }
+        };
+    }
+
+    if (subcommand.name === 'list') {
+        // Sessions bound in this server, or just this channel in DMs
+        const guildId = interaction.guild_id;
+        const records = (await sessionStore.list()).filter(r => (guildId ? r.guildId === guildId : r.channelId === channelId));
+        if (records.length === 0) {
+            return ephemeral(t(persona, 'noSessions'));
+        }
+        const lines = records.map(r => {
+            const marker = r.channelId === channelId ? '👉 ' : '';
+            const state = r.completed ? '✅' : '⏳';
+            return `${marker}${state} \`${r.sessionId}\` ${r.source ? r.source.split('/').pop() : ''} (<#${r.channelId}>)`;
+        });
+        return ephemeral(lines.join('\n'));
+    }
+
+    if (subcommand.name === 'queue') {
+        const place = { guildId: interaction.guild_id, channelId };
+        const cancelId = getOptionValue(subcommand.options, 'cancel');
+        if (cancelId !== undefined) {
+            const item = sessionQueue.list(place).find(queued => queued.id === cancelId);
+            if (!item) return ephemeral(t(persona, 'queueItemNotFound', { id: cancelId }));
+            // Anyone may cancel their own request; other people's need manage_queue
+            if (item.userId !== getInteractionUserId(interaction)) {
+                const decision = permissions.check(interactionActor(interaction), CAPABILITIES.MANAGE_QUEUE, { source: item.source });
+                if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+            }
+            await sessionQueue.remove(item.id);
+            log.info('Cancelled queued session request', { id: item.id, channelId, userId: getInteractionUserId(interaction) });
+            return ephemeral(t(persona, 'queueItemCancelled', { id: item.id }));
+        }
+
+        const items = sessionQueue.list(place);
+        if (items.length === 0) {
+            return ephemeral(t(persona, 'queueEmpty'));
+        }
+        const lines = items.map((item, index) => {
+            const waited = formatDuration(Date.now() - Date.parse(item.queuedAt));
+            const task = truncate((item.typedPrompt || '').split('\n')[0], 80);
+            return `${index + 1}. **#${item.id}** <@${item.userId}> ${item.source.split('/').pop()} (${waited}) ${task}`;
+        });
+        return ephemeral(truncate([t(persona, 'queueShown'), ...lines].join('\n'), DISCORD_MESSAGE_LIMIT));
+    }
+
+    if (subcommand.name === 'end') {
+        const record = await sessionStore.get(channelId);
+        if (!record) {
+            return ephemeral(t(persona, 'noSession'));
+        }
+        const decision = permissions.check(interactionActor(interaction), CAPABILITIES.MESSAGE_SESSION, { source: record.source });
+        if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+
+        await sessionStore.delete(channelId);
+        await recordSessionReleased(record.sessionId, 'ended');
+        return {
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: { content: t(persona, 'sessionEnded', { sessionId: record.sessionId }) }
+        };
+    }
+
+    if (subcommand.name === 'switch') {
+        const requested = getOptionValue(subcommand.options, 'session');
+        const sessionId = normalizeSessionId(requested);
+        if (!sessionId) return ephemeral(t(persona, 'invalidSessionId', { session: requested }));
+        const session = await jules.getSession(sessionId);
+        const source = session.sourceContext ? session.sourceContext.source : null;
+        const decision = permissions.check(interactionActor(interaction), CAPABILITIES.MESSAGE_SESSION, { source });
+        if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+
+        const activities = await jules.listAllActivities(sessionId);
+        const seenIds = activities.map(a => a.id);
+
+        await sessionStore.set(channelId, {
+            sessionId,
+            source,
+            creatorId: getInteractionUserId(interaction),
+            guildId: interaction.guild_id,
+            seenIds
+        });
+        // Sessions started elsewhere get a history entry from what Jules knows about
+        // them; either way the session now counts against this channel's guild.
+        const known = await historyStore.get(sessionId);
+        await historyStore.record(sessionId, known ? { channelId, guildId: interaction.guild_id } : {
+            channelId,
+            guildId: interaction.guild_id,
+            source,
+            creatorId: getInteractionUserId(interaction),
+            prompt: session.prompt,
+            status: FINISHED_SESSION_STATES[session.state] || 'running',
+            startedAt: session.createTime || new Date().toISOString()
+        });
+        await startMonitorForChannel(sessionId, channelId, seenIds);
+
+        return {
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: { content: t(persona, 'sessionSwitched', { sessionId, summary: session.title || session.state || '' }) }
+        };
     }
-    `;
 
+    if (subcommand.name === 'history') {
+        const userId = getOptionValue(subcommand.options, 'user');
+        const allChannels = getOptionValue(subcommand.options, 'all_channels');
+        // all_channels stays within this server; in DMs it only covers this channel
+        const scope = allChannels && interaction.guild_id ? { guildId: interaction.guild_id } : { channelId };
+        const entries = await historyStore.list({ ...scope, userId, limit: HISTORY_PAGE_SIZE });
+        if (entries.length === 0) {
+            return ephemeral(t(persona, 'noHistory'));
+        }
+        const lines = entries.map(entry => {
+            const startedAt = Date.parse(entry.startedAt);
+            const endedAt = entry.endedAt ? Date.parse(entry.endedAt) : Date.now();
+            const parts = [
+                `${HISTORY_STATUS_ICONS[entry.status] || '❔'} \`${entry.sessionId}\``,
+                entry.source ? entry.source.split('/').pop() : null,
+                formatDuration(endedAt - startedAt),
+                entry.pullRequestUrl ? `[PR](<${entry.pullRequestUrl}>)` : null,
+                entry.creatorId ? `<@${entry.creatorId}>` : null,
+                `<t:${Math.floor(startedAt / 1000)}:R>`,
+                allChannels ? `<#${entry.channelId}>` : null
+            ];
+            const prompt = entry.prompt ? `\n> ${truncate(entry.prompt.split('\n')[0], 80)}` : '';
+            return parts.filter(Boolean).join(' · ') + prompt;
+        });
+        return ephemeral(truncate(lines.join('\n'), DISCORD_MESSAGE_LIMIT));
+    }
+
+    if (subcommand.name === 'export') {
+        const requested = getOptionValue(subcommand.options, 'session');
+        const record = await sessionStore.get(channelId);
+        if (!requested && !record) {
+            return ephemeral(t(persona, 'noSession'));
+        }
+        const sessionId = requested ? normalizeSessionId(requested) : record.sessionId;
+        if (!sessionId) return ephemeral(t(persona, 'invalidSessionId', { session: requested }));
+
+        const session = await jules.getSession(sessionId);
+        const source = session.sourceContext ? session.sourceContext.source : null;
+        const decision = permissions.check(interactionActor(interaction), CAPABILITIES.MESSAGE_SESSION, { source });
+        if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+
+        const activities = await jules.listAllActivities(sessionId);
+        const entry = await historyStore.get(sessionId);
+        if (!session.prompt && entry) session.prompt = entry.prompt;
+
+        const json = getOptionValue(subcommand.options, 'format') === 'json';
+        const transcript = json ? buildJsonTranscript(session, activities) : buildMarkdownTranscript(session, activities);
+        const attachment = Buffer.from(transcript, 'utf8');
+        if (attachment.length > DISCORD_ATTACHMENT_LIMIT) {
+            return ephemeral(t(persona, 'exportTooLarge', { size: (attachment.length / 1024 / 1024).toFixed(1) }));
+        }
+
+        log.info('Exporting transcript', { sessionId, activities: activities.length, format: json ? 'json' : 'markdown', interactionId: interaction.id });
+        return {
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: { content: t(persona, 'exportReady', { sessionId, count: activities.length }) },
+            files: [{ attachment, name: `jules-${sessionId.replace('sessions/', 'session-')}.${json ? 'json' : 'md'}` }]
+        };
+    }
+
+    return ephemeral(t(persona, 'unknownCommand', { command: subcommand.name }));
+}
+
+
+// --- Webhooks (GitHub / Jules) ---
+// Gateway channel for posting follow-ups; null while the bot is asleep.
+async function fetchBoundChannel(channelId) {
+    if (!client.isReady()) return null;
     try {
-        const result = await model.generateContent(prompt);
-        const responseText = result.response.text().replace(/```json/g, '').replace(/```/g, '').trim();
-        return JSON.parse(responseText);
+        return await client.channels.fetch(channelId);
     } catch (err) {
-        console.error("Gemini Error:", err);
-        return { matchIndex: null, reply: "ごめんね、ちょっと調子が悪いみたい... リポジトリの番号（例: '1'）を教えてくれるかな？" };
+        log.error('Failed to fetch channel', { channelId, err });
+        return null;
     }
 }
 
+async function sessionsForPullRequest(urls) {
+    const wanted = new Set(urls.map(normalizePullRequestUrl).filter(Boolean));
+    const records = await sessionStore.list();
+    return records.filter(r => wanted.has(normalizePullRequestUrl(r.pullRequestUrl)));
+}
+
+function buildCiFailureEmbed(event, pullRequestUrl) {
+    const embed = new EmbedBuilder()
+        .setTitle(truncate(`🚨 ${event.name}`, EMBED_TITLE_LIMIT))
+        .setColor(EMBED_COLORS.ciFailure)
+        .addFields(
+            { name: 'Conclusion', value: event.conclusion, inline: true },
+            { name: 'Pull Request', value: pullRequestUrl, inline: true }
+        );
+    if (event.url) embed.setURL(event.url);
+    if (event.summary) embed.setDescription(truncate(event.summary, EMBED_DESCRIPTION_LIMIT));
+    return embed;
+}
+
+function buildCiRetryRow(sessionId, persona) {
+    const retry = new ButtonBuilder()
+        .setCustomId(`ci_retry:${sessionId}`)
+        .setLabel(t(persona, 'ciRetryLabel'))
+        .setStyle(ButtonStyle.Primary);
+    return new ActionRowBuilder().addComponents(retry);
+}
+
+async function handleGithubEvent(eventName, payload) {
+    const event = parseGithubEvent(eventName, payload);
+    if (!event) return;
+
+    const records = await sessionsForPullRequest(event.pullRequestUrls);
+    if (records.length === 0) {
+        log.info('GitHub event without a session', { event: event.type, pullRequestUrls: event.pullRequestUrls });
+        return;
+    }
+
+    for (const record of records) {
+        const channel = await fetchBoundChannel(record.channelId);
+        if (!channel) {
+            log.info('GitHub event for an unavailable channel, skipping', { event: event.type, sessionId: record.sessionId, channelId: record.channelId });
+            continue;
+        }
+        const persona = await personaForChannel(channel);
+        log.info('GitHub event', { event: event.type, sessionId: record.sessionId, channelId: record.channelId });
+
+        if (event.type === 'ciFailed') {
+            await channel.send({
+                content: t(persona, 'ciFailed', { name: event.name }),
+                embeds: [buildCiFailureEmbed(event, record.pullRequestUrl)],
+                components: [buildCiRetryRow(record.sessionId, persona)]
+            });
+        } else if (event.type === 'reviewPosted') {
+            const text = t(persona, 'reviewPosted', { user: event.user, state: event.state.replace(/_/g, ' '), url: event.url });
+            await channel.send(event.body ? `${text}\n> ${truncate(event.body, 1500).split('\n').join('\n> ')}` : text);
+        } else {
+            await channel.send(t(persona, event.type, { url: event.url }));
+        }
+    }
+}
+
+// Body: { "session": "sessions/123", "activities": [ ...Jules activities ] }
+// ("activity" with a single object is accepted too).
+async function handleJulesWebhook(body) {
+    const sessionId = body.session ? normalizeSessionId(body.session) : null;
+    const activities = body.activities || (body.activity ? [body.activity] : []);
+    if (!sessionId || activities.length === 0) return;
+
+    if (!activityPoller.isWatching(sessionId)) {
+        const records = (await sessionStore.list()).filter(r => r.sessionId === sessionId && !r.completed);
+        for (const record of records) {
+            await startMonitorForChannel(sessionId, record.channelId, record.seenIds || []);
+        }
+    }
+    if (!(await activityPoller.deliver(sessionId, activities))) {
+        log.info('Jules webhook without an active channel, ignoring', { sessionId });
+    }
+}
+
+// "Ask Jules to fix" under a CI failure: sends the failed check back to the session.
+async function handleCiRetryButton(interaction, sessionId, persona) {
+    const source = await sourceForSession(interaction.channel_id, sessionId);
+    const decision = permissions.check(interactionActor(interaction), CAPABILITIES.MESSAGE_SESSION, { source });
+    if (!decision.allowed) return ephemeral(deniedMessage(decision, persona));
+
+    const embed = (interaction.message.embeds || [])[0] || {};
+    const field = (name) => ((embed.fields || []).find(f => f.name === name) || {}).value;
+    const checkName = (embed.title || 'CI').replace(/^🚨 /, '');
+    const prompt = [
+        `The CI check "${checkName}" failed (${field('Conclusion') || 'failure'}) on the pull request ${field('Pull Request') || ''}.`,
+        embed.description ? `\n${embed.description}\n` : '',
+        embed.url ? `Details: ${embed.url}` : '',
+        'Please fix the failure and update the pull request.'
+    ].filter(Boolean).join('\n');
+
+    log.info('Sending CI failure to the session', { sessionId, check: checkName, channelId: interaction.channel_id, interactionId: interaction.id });
+    await startMonitorForChannel(sessionId, interaction.channel_id);
+    await jules.sendMessage(sessionId, prompt);
+    await updateStoredSession(interaction.channel_id, sessionId, { completed: false, failed: false });
+    await historyStore.update(sessionId, { status: 'running', endedAt: null });
+    activityPoller.nudge(sessionId);
+
+    return {
+        type: InteractionResponseType.UPDATE_MESSAGE,
+        data: {
+            content: `${interaction.message.content}\n${t(persona, 'ciRetrySent')} — <@${getInteractionUserId(interaction)}>`,
+            components: []
+        }
+    };
+}
+
+// --- /wake and /sleep ---
+// Logs in (if needed) and scales up; the "ready" message is a follow-up once the gateway is up.
+async function handleWakeCommand(interaction, persona, interactionLog) {
+    const alreadyAwake = client.isReady();
+    const { login, ...result } = await wakeBot('command');
+    // Only the /wake that started the login reports when it is done
+    if (login) {
+        const onReady = () => {
+            interactionWebhook.followUp(interaction, { content: t(persona, 'wakeReady', { model: llm.name }) })
+                .catch(err => interactionLog.error('Failed to send ready message', { err }));
+        };
+        client.once('ready', onReady);
+        login.catch(() => client.off('ready', onReady));
+    }
+
+    const status = t(persona, alreadyAwake ? 'alreadyAwake' : 'wakeStarting');
+    return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `${status}\n${formatScaleResult(result, persona)}` }
+    };
+}
+
+async function handleSleepCommand(persona) {
+    const result = await sleepBot('command');
+    if (result.status === 'busy') {
+        return ephemeral(t(persona, 'sleepBusy', { count: result.running }));
+    }
+    return ephemeral(`${t(persona, 'sleeping')}\n${formatScaleResult(result, persona)}`);
+}
 
 // --- Express Server & Interactions ---
 const app = express();
@@ -430,6 +2024,81 @@ app.use(express.json({
     }
 }));
 
+// --- Deferred Interaction Responses ---
+// Interaction webhook endpoints. They are authorized by the interaction token
+// (valid for 15 minutes), so they work while the gateway client is logged out.
+// `files` are { attachment: Buffer, name } and go out as multipart.
+const interactionWebhook = {
+    editOriginal(interaction, data, files) {
+        return client.rest.patch(Routes.webhookMessage(interaction.application_id, interaction.token), webhookRequest(data, files));
+    },
+
+    deleteOriginal(interaction) {
+        return client.rest.delete(Routes.webhookMessage(interaction.application_id, interaction.token), { auth: false });
+    },
+
+    followUp(interaction, data, files) {
+        return client.rest.post(Routes.webhook(interaction.application_id, interaction.token), webhookRequest(data, files));
+    }
+};
+
+function webhookRequest(data, files = []) {
+    if (files.length === 0) return { body: data, auth: false };
+    return {
+        body: { ...data, attachments: files.map((file, i) => ({ id: i, filename: file.name })) },
+        files: files.map(file => ({ name: file.name, data: file.attachment })),
+        auth: false
+    };
+}
+
+const EPHEMERAL_FLAG = 64;
+
+/**
+ * Answers with a deferred response right away (type 5 for commands, 6 for
+ * components and modal submits), runs the handler, and delivers the interaction
+ * response it returns through the interaction webhook. Errors become an
+ * ephemeral error message. `hidden` makes the deferred command reply ephemeral;
+ * visibility is fixed by the deferral, so a reply with the other visibility
+ * replaces the placeholder with a follow-up.
+ */
+async function deferInteraction(res, interaction, handler, { hidden = false, persona, interactionLog = log, failure = 'Interaction failed' }) {
+    // Commands, and modals opened by a command, have no message to update
+    const isCommand = interaction.type === InteractionType.APPLICATION_COMMAND || !interaction.message;
+    res.json(isCommand
+        ? { type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE, data: hidden ? { flags: EPHEMERAL_FLAG } : {} }
+        : { type: InteractionResponseType.DEFERRED_UPDATE_MESSAGE });
+
+    let response;
+    try {
+        response = await handler();
+    } catch (e) {
+        interactionLog.error(failure, { err: e });
+        response = ephemeral(t(persona, 'error', { error: e.message }));
+    }
+
+    try {
+        await deliverDeferredResponse(interaction, isCommand, hidden, response);
+    } catch (err) {
+        interactionLog.error('Failed to deliver interaction response', { responseType: response.type, err });
+    }
+}
+
+async function deliverDeferredResponse(interaction, isCommand, hidden, { type, data = {}, files = [] }) {
+    if (type === InteractionResponseType.UPDATE_MESSAGE && !isCommand) {
+        return interactionWebhook.editOriginal(interaction, data, files);
+    }
+    if (type !== InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE) {
+        throw new Error(`Response type ${type} cannot follow a deferred response`);
+    }
+
+    const { flags = 0, ...message } = data;
+    if (!isCommand) return interactionWebhook.followUp(interaction, data, files);
+    if (Boolean(flags & EPHEMERAL_FLAG) === hidden) return interactionWebhook.editOriginal(interaction, message, files);
+
+    await interactionWebhook.deleteOriginal(interaction);
+    return interactionWebhook.followUp(interaction, data, files);
+}
+
 async function verifyDiscordRequest(req, res, next) {
     const signature = req.get('X-Signature-Ed25519');
     const timestamp = req.get('X-Signature-Timestamp');
@@ -448,7 +2117,7 @@ async function verifyDiscordRequest(req, res, next) {
             return res.status(401).send('Bad Request Signature');
         }
     } catch (err) {
-        console.error("Verification Error:", err);
+        log.error('Interaction signature verification failed', { err });
         return res.status(401).send('Verification Internal Error');
     }
     next();
@@ -456,116 +2125,174 @@ async function verifyDiscordRequest(req, res, next) {
 
 app.post(['/interactions', '/interactions/'], verifyDiscordRequest, async (req, res) => {
     const message = req.body;
-    console.log("Interaction received. Type:", message.type);
+    const interactionLog = log.child({ interactionId: message.id, channelId: message.channel_id, guildId: message.guild_id });
+    interactionLog.info('Interaction received', { type: message.type, command: message.data && (message.data.name || message.data.custom_id) });
+    interactionsReceived.inc({ type: message.type });
+    if (message.channel_id) idleTracker.touch(message.channel_id);
 
     if (message.type === InteractionType.PING) {
         res.setHeader('Content-Type', 'application/json');
         return res.status(200).send(JSON.stringify({ type: 1 }));
     }
 
+    const persona = await personaForInteraction(message);
+
     // Handle Button Clicks (Message Component)
-    if (message.type === 3) { // InteractionType.MESSAGE_COMPONENT
-        const customId = message.data.custom_id;
-        if (customId && customId.startsWith('approve_plan:')) {
-            const sessionId = customId.split(':')[1];
-            console.log(`Approving plan for session ${sessionId}`);
+    if (message.type === InteractionType.MESSAGE_COMPONENT) {
+        const [action, sessionId] = (message.data.custom_id || '').split(':');
+        // A modal has to be the immediate response, so "Request Changes" is not deferred
+        if (action === 'request_changes') {
             try {
-                // Determine source for localized message? Persona is Japanese.
-                await approveSessionPlan(sessionId);
-
-                res.json({
-                    type: InteractionResponseType.UPDATE_MESSAGE,
-                    data: {
-                        content: `${message.message.content}\n\n✅ **Plan Approved!** (プランを承認したよ！作業始めるね)`,
-                        components: [] // Remove buttons
-                    }
-                });
+                res.json(await handlePlanReviewButton(message, action, sessionId, persona));
             } catch (e) {
-                console.error("Approval failed", e);
-                res.json({
-                    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-                    data: {
-                        content: `ごめんね、エラーが出ちゃった...: ${e.message}`,
-                        flags: 64
-                    }
-                });
+                interactionLog.error('Plan review failed', { sessionId, err: e });
+                res.json(ephemeral(t(persona, 'error', { error: e.message })));
             }
             return;
         }
+        if (['approve_plan', 'reject_plan'].includes(action)) {
+            return deferInteraction(res, message, () => handlePlanReviewButton(message, action, sessionId, persona), {
+                persona, interactionLog: interactionLog.child({ sessionId }), failure: 'Plan review failed'
+            });
+        }
+        if (action === 'ci_retry') {
+            return deferInteraction(res, message, () => handleCiRetryButton(message, sessionId, persona), {
+                persona, interactionLog: interactionLog.child({ sessionId }), failure: 'CI retry failed'
+            });
+        }
+    }
+
+    // Handle Modal Submissions
+    if (message.type === InteractionType.MODAL_SUBMIT) {
+        // plan_feedback:<sessionId> or run_template:<interaction ID of the /jules run>
+        const [action, targetId] = (message.data.custom_id || '').split(':');
+        if (action === 'plan_feedback') {
+            return deferInteraction(res, message, () => handlePlanFeedbackSubmit(message, targetId, persona), {
+                persona, interactionLog: interactionLog.child({ sessionId: targetId }), failure: 'Plan feedback failed'
+            });
+        }
+        if (action === 'run_template') {
+            return deferInteraction(res, message, () => handleTemplateModalSubmit(message, targetId, persona), {
+                persona, interactionLog, failure: '/jules run failed'
+            });
+        }
+    }
+
+    if (message.type === InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE) {
+        try {
+            return res.json(await handleJulesAutocomplete(message));
+        } catch (e) {
+            interactionLog.error('Autocomplete failed', { err: e });
+            return res.json({
+                type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+                data: { choices: [] }
+            });
+        }
     }
 
     if (message.type === InteractionType.APPLICATION_COMMAND) {
         const commandName = message.data.name;
 
-        if (commandName === 'wake') {
-            console.log("Received /wake command");
-            const channelId = message.channel_id;
-
-            res.json({
-                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-                data: {
-                    content: '🥱 おはよぉ... (1分くらいで目が覚めるよ。チャット聞いてるね！)',
-                }
+        if (commandName === 'jules') {
+            if (['run', 'template run'].includes(julesSubcommandName(message))) {
+                return handleTemplateRun(res, message, persona, interactionLog);
+            }
+            return deferInteraction(res, message, () => handleJulesCommand(message, persona), {
+                hidden: HIDDEN_JULES_SUBCOMMANDS.includes(julesSubcommandName(message)), persona, interactionLog, failure: '/jules failed'
             });
-            
-            GoogleCloudManager.setMinInstances(1).catch(console.error);
-
-            if (!client.isReady()) {
-                const onReady = async () => {
-                   try {
-                       const channel = await client.channels.fetch(channelId);
-                       if (channel) {
-                           await channel.send("✨ 目が覚めたよ！お話できるよ (Model: gemini-2.5-flash)");
-                       }
-                   } catch (err) {
-                       console.error("Failed to send ready message:", err);
-                   }
-                };
-                client.once('ready', onReady);
+        }
 
-                client.login(DISCORD_TOKEN).catch(err => {
-                    console.error("Login failed:", err);
-                    client.off('ready', onReady);
-                });
-            } else {
-                 try {
-                     setTimeout(async () => {
-                        const channel = await client.channels.fetch(channelId);
-                        if (channel) await channel.send("✨ もう起きてるよ！お話しよう。");
-                     }, 1000);
-                 } catch(e) {}
+        if (commandName === 'wake' || commandName === 'sleep') {
+            const decision = permissions.check(interactionActor(message), CAPABILITIES.WAKE_SLEEP);
+            if (!decision.allowed) {
+                return res.json(ephemeral(deniedMessage(decision, persona)));
             }
-            return;
         }
 
-        if (commandName === 'sleep') {
-            console.log("Received /sleep command");
-            res.json({
-                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-                data: {
-                    content: '😴 寝るね... おやすみぃ！',
-                    flags: 64
-                }
+        if (commandName === 'wake') {
+            interactionLog.info('Received /wake');
+            return deferInteraction(res, message, () => handleWakeCommand(message, persona, interactionLog), {
+                persona, interactionLog, failure: '/wake failed'
             });
+        }
 
-            if (client.isReady()) {
-                 client.destroy();
-            }
-
-            GoogleCloudManager.setMinInstances(0).catch(console.error);
-            return;
+        if (commandName === 'sleep') {
+            interactionLog.info('Received /sleep');
+            return deferInteraction(res, message, () => handleSleepCommand(persona), {
+                hidden: true, persona, interactionLog, failure: '/sleep failed'
+            });
         }
     }
 
     res.status(400).send("Unknown Type");
 });
 
+// Checks an `sha256=<hex>` HMAC header against the raw body.
+function verifyWebhookSignature(secret, header) {
+    return (req, res, next) => {
+        if (!secret) return res.status(503).send('Webhook secret not configured');
+        if (!verifySignature(secret, req.rawBody, req.get(header))) {
+            return res.status(401).send('Bad Request Signature');
+        }
+        next();
+    };
+}
+
+app.post('/webhooks/github', verifyWebhookSignature(GITHUB_WEBHOOK_SECRET, 'X-Hub-Signature-256'), (req, res) => {
+    const eventName = req.get('X-GitHub-Event');
+    res.status(202).send({ accepted: eventName });
+    handleGithubEvent(eventName, req.body).catch(err => log.error('GitHub webhook failed', { event: eventName, err }));
+});
+
+app.post('/webhooks/jules', verifyWebhookSignature(JULES_WEBHOOK_SECRET, 'X-Jules-Signature-256'), (req, res) => {
+    res.status(202).send({ accepted: true });
+    handleJulesWebhook(req.body).catch(err => log.error('Jules webhook failed', { err }));
+});
+
 app.get('/', (req, res) => {
     res.send({ status: 'running', bot_ready: client.isReady() });
 });
 
-app.listen(PORT, () => {
-    console.log(`Express server running on port ${PORT}`);
+app.get('/metrics', (req, res) => {
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Liveness: the process serves HTTP, and the gateway (if it should be up) has not
+// been down for longer than GATEWAY_GRACE_MS. A slept bot is still alive.
+app.get('/healthz', (req, res) => {
+    const downForMs = gateway.wanted && gateway.downSince ? Date.now() - gateway.downSince : 0;
+    if (downForMs > GATEWAY_GRACE_MS) {
+        return res.status(503).send({ status: 'unhealthy', gateway: Status[client.ws.status], downForMs });
+    }
+    res.send({ status: 'ok' });
+});
+
+let julesPing = { checkedAt: 0, result: null };
+
+async function checkJulesApi() {
+    if (Date.now() - julesPing.checkedAt < READINESS_CACHE_MS && julesPing.result) return julesPing.result;
+    let result;
+    try {
+        await jules.ping();
+        result = { ok: true };
+    } catch (err) {
+        result = { ok: false, error: err.message };
+    }
+    julesPing = { checkedAt: Date.now(), result };
+    return result;
+}
+
+// Readiness: stores loaded, Jules API reachable, and the gateway state. The gateway
+// only counts when we want it up; a bot put to sleep with /sleep can still serve
+// interactions and webhooks.
+app.get('/readyz', async (req, res) => {
+    const checks = {
+        stores: { ok: Object.values(storesLoaded).every(Boolean), ...storesLoaded },
+        julesApi: await checkJulesApi(),
+        gateway: { ok: !gateway.wanted || client.isReady(), wanted: gateway.wanted, status: Status[client.ws.status] }
+    };
+    const ready = Object.values(checks).every(check => check.ok);
+    res.status(ready ? 200 : 503).send({ status: ready ? 'ready' : 'not ready', checks });
 });
 
 client.on('messageCreate', async (message) => {
@@ -576,77 +2303,169 @@ client.on('messageCreate', async (message) => {
 
     if (!isMentioned && !isDM) return;
 
-    let content = message.content.replace(/<@!?[0-9]+>/g, '').trim();
-    if (!content) content = "Hello"; 
+    // The bot's own mention is the trigger; other mentions become @display names
+    let content = resolveMentions(message.content, message, { removeUserId: client.user.id });
+    const hasAttachments = Boolean(message.attachments && message.attachments.size > 0);
+    if (!content && !hasAttachments) content = "Hello";
 
     const channelId = message.channel.id;
+    idleTracker.touch(channelId);
+    const messageLog = log.child({ messageId: message.id, channelId, userId: message.author.id });
+    const persona = await personaForChannel(message.channel);
     await message.channel.sendTyping();
 
     try {
-        const englishContent = await translateToEnglish(content);
-        console.log(`Original: "${content}", Translated: "${englishContent}"`);
+        const englishContent = await translateToEnglish(content, persona);
+        messageLog.debug('Translated message', { original: content, translated: englishContent });
 
-        let sessionId = activeSessions.get(channelId);
+        const stored = await sessionStore.get(channelId);
+        const sessionId = stored ? stored.sessionId : null;
 
         if (sessionId) {
-            console.log(`Using existing session ${sessionId}`);
-            try {
-                let seenIds = new Set();
-                let pageToken = null;
-                do {
-                    const data = await listActivities(sessionId, pageToken);
-                    if (data && data.activities) {
-                        data.activities.forEach(a => seenIds.add(a.id));
-                    }
-                    pageToken = data ? data.nextPageToken : null;
-                } while (pageToken);
+            const decision = permissions.check(messageActor(message), CAPABILITIES.MESSAGE_SESSION, { source: stored.source });
+            if (!decision.allowed) {
+                await message.reply(deniedMessage(decision, persona));
+                return;
+            }
 
-                await sendMessageToSession(sessionId, englishContent);
-                monitorSession(sessionId, message.channel, seenIds).catch(console.error);
+            messageLog.info('Sending message to existing session', { sessionId });
+            try {
+                // Attach the watcher before sending so only the replies count as new activity.
+                await monitorSession(sessionId, message.channel);
+                const { prompt, confirmation } = await buildPromptFromMessage(message, englishContent, persona);
+                await jules.sendMessage(sessionId, prompt);
+                await sessionStore.update(channelId, { completed: false, failed: false });
+                await historyStore.update(sessionId, { status: 'running', endedAt: null });
+                activityPoller.nudge(sessionId);
+                if (confirmation) await message.reply(confirmation);
 
             } catch (err) {
-                 if (err.message.includes('404')) {
-                    console.log("Session 404, clearing and retrying...");
-                    activeSessions.delete(channelId);
-                    await message.reply("前のセッションが切れちゃったみたい... もう一回最初からお願いできるかな？");
+                if (isSessionGone(err)) {
+                    await closeDeletedSession(sessionId, channelId);
+                    await sessionStore.delete(channelId);
+                    await message.reply(t(persona, 'sessionExpired'));
                     return;
                 }
                 throw err;
             }
 
         } else {
-            console.log(`No active session. engaging Gemini for setup.`);
-            
-            const sourcesData = await listSources();
-            if (!sourcesData.sources || sourcesData.sources.length === 0) {
-                await message.reply("Julesのアカウントにソースが見つからないよ... 先にソースを繋いでほしいな。");
+            const startDecision = permissions.check(messageActor(message), CAPABILITIES.START_SESSION);
+            if (!startDecision.allowed) {
+                await message.reply(deniedMessage(startDecision, persona));
                 return;
             }
 
-            const sources = sourcesData.sources;
+            messageLog.info('No active session, picking a source', { provider: llm.name });
             
-            const decision = await identifySourceWithGemini(englishContent, sources);
+            const sources = await jules.listAllSources();
+            if (sources.length === 0) {
+                await message.reply(t(persona, 'noSources'));
+                return;
+            }
 
-            if (decision.matchIndex !== null && decision.matchIndex >= 0 && decision.matchIndex < sources.length) {
-                const selectedSource = sources[decision.matchIndex];
-                await message.reply(`わかった、**${selectedSource.name.split('/').pop()}** を準備するね...`);
-                
-                const sessionData = await createSessionFull(selectedSource, englishContent);
-                sessionId = sessionData.name;
-                
-                if (!sessionId) throw new Error("Session creation failed.");
-                activeSessions.set(channelId, sessionId);
+            // Source names, aliases and the channel default first; the LLM only when none applies
+            const selection = await sourceRegistry.select(content, sources, messagePlace(message));
+            let selectedSource = selection.source;
+            let reply = null;
+            if (!selectedSource) {
+                // Gemini errors fall back to the local matcher, which asks for a number
+                const decision = await llm.pickSource(englishContent, selection.offered, persona);
+                if (decision.matchIndex !== null && decision.matchIndex >= 0 && decision.matchIndex < selection.offered.length) {
+                    selectedSource = selection.offered[decision.matchIndex];
+                }
+                reply = decision.reply;
+            }
 
-                monitorSession(sessionId, message.channel).catch(console.error);
+            if (selectedSource) {
+                const via = selection.via || 'llm';
+                messageLog.info('Source selected', { source: selectedSource.name, via });
+                sourceSelections.inc({ via });
+                const sourceDecision = permissions.check(messageActor(message), CAPABILITIES.START_SESSION, { source: selectedSource.name });
+                if (!sourceDecision.allowed) {
+                    await message.reply(deniedMessage(sourceDecision, persona));
+                    return;
+                }
+                const options = await resolveSessionOptions(channelId);
+                const request = {
+                    guildId: message.guild ? message.guild.id : undefined,
+                    channelId,
+                    userId: message.author.id,
+                    source: selectedSource.name,
+                    typedPrompt: content,
+                    options,
+                    origin: 'mention'
+                };
+                const { prompt, confirmation } = await buildPromptFromMessage(message, englishContent, persona);
+                const slot = await withSessionSlots(async () => {
+                    const limit = await sessionQueue.check(request);
+                    if (!limit.allowed) return { queuedReply: await enqueueSession({ ...request, prompt }, limit, persona) };
+                    return { release: reserveSessionSlot(request) };
+                });
+                if (slot.queuedReply) {
+                    await message.reply(slot.queuedReply);
+                } else {
+                    try {
+                        await message.reply(t(persona, 'preparing', {
+                            source: selectedSource.name.split('/').pop(),
+                            options: formatSessionOptions(options, persona)
+                        }));
+                        await launchSession({ ...request, prompt, source: selectedSource, channel: message.channel, persona, starterMessage: message });
+                    } finally {
+                        slot.release();
+                    }
+                }
+                if (confirmation) await message.reply(confirmation);
                 
             } else {
-                await message.reply(decision.reply || "どのリポジトリにする？");
+                await message.reply(reply || t(persona, 'askRepository'));
                 return; 
             }
         }
 
     } catch (err) {
-        console.error("Handler Error:", err);
-        await message.reply(`エラーが出ちゃった...: ${err.message}`);
+        messageLog.error('Message handler failed', { err });
+        await message.reply(t(persona, 'error', { error: err.message }));
     }
 });
+
+
+// --- Startup ---
+// Starts the HTTP server and loads persisted state. Resolves with the http.Server
+// once the stores are loaded; the tests call this with port 0.
+async function start(port = PORT) {
+    const server = app.listen(port, () => {
+        log.info('Express server running', { port: server.address().port });
+    });
+
+    await settingsStore.load()
+        .then(() => { storesLoaded.settings = true; })
+        .catch(err => log.error('Failed to load settings store', { err }));
+    await historyStore.load()
+        .then(() => { storesLoaded.history = true; })
+        .catch(err => log.error('Failed to load history store', { err }));
+    await sessionQueue.load()
+        .then(() => { storesLoaded.queue = true; })
+        .catch(err => log.error('Failed to load session queue', { err }));
+    scheduler.start();
+
+    // Log back in after a restart if sessions were left running, so their monitors resume.
+    try {
+        await sessionStore.load();
+        storesLoaded.sessions = true;
+        const records = await sessionStore.list();
+        if (records.some(r => !r.completed) && DISCORD_TOKEN && !client.isReady()) {
+            log.info('Found unfinished sessions, logging in to resume them');
+            loginGateway().catch(err => log.error('Login failed', { err }));
+        }
+    } catch (err) {
+        log.error('Failed to load session store', { err });
+    }
+    return server;
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = { app, client, start, activityPoller, sessionStore, settingsStore, historyStore, sessionQueue, idleTracker, GoogleCloudManager };
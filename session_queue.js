@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { moveAside } = require('./store_files');
+
+const log = logger.child({ component: 'queue' });
+
+/**
+ * Concurrency limits for new Jules sessions, and a queue for requests over them.
+ *
+ * A request may start right away while its guild has fewer than perGuild and its
+ * author fewer than perUser running sessions (0 means no limit; DMs only count
+ * against the user limit). Otherwise it waits in the queue as:
+ * {
+ *     id: number,            // shown as #id in Discord
+ *     guildId: string,
+ *     channelId: string,     // where the request was made
+ *     userId: string,
+ *     source: string,        // Jules source name
+ *     prompt: string,        // what is sent to Jules (translated, with context)
+ *     typedPrompt: string,   // as typed in Discord, for history and thread names
+ *     options: object,       // session options
+ *     origin: string,        // mention or command, for metrics
+ *     queuedAt: string
+ * }
+ * next() hands out the oldest item whose guild and user are both under their
+ * limits, so one user at their limit does not hold up everyone behind them.
+ *
+ * Stored as { nextId, items } in a JSON file so queued work survives restarts.
+ */
+class SessionQueue {
+    /**
+     * @param {object} options
+     * @param {() => Promise<{ guildId?: string, userId: string }[]>} options.runningSessions
+     */
+    constructor({ filePath, perGuild = 0, perUser = 0, runningSessions }) {
+        this.filePath = filePath;
+        this.perGuild = perGuild;
+        this.perUser = perUser;
+        this.runningSessions = runningSessions;
+        this.items = [];
+        this.nextId = 1;
+        this.writeQueue = Promise.resolve();
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    async load() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            const data = JSON.parse(raw);
+            this.items = data.items || [];
+            this.nextId = data.nextId || 1;
+        } catch (err) {
+            this.items = [];
+            if (err.code === 'ENOENT') return;
+            await moveAside(this.filePath, err);
+            throw err;
+        }
+    }
+
+    /**
+     * @returns {Promise<{ allowed: boolean, limit?: 'guild'|'user', running?: number, max?: number }>}
+     */
+    async check({ guildId, userId }) {
+        if (!this.perGuild && !this.perUser) return { allowed: true };
+        return this.checkAgainst(await this.runningSessions(), { guildId, userId });
+    }
+
+    checkAgainst(running, { guildId, userId }) {
+        if (this.perUser) {
+            const count = running.filter(r => r.userId === userId).length;
+            if (count >= this.perUser) return { allowed: false, limit: 'user', running: count, max: this.perUser };
+        }
+        if (this.perGuild && guildId) {
+            const count = running.filter(r => r.guildId === guildId).length;
+            if (count >= this.perGuild) return { allowed: false, limit: 'guild', running: count, max: this.perGuild };
+        }
+        return { allowed: true };
+    }
+
+    async enqueue(request) {
+        const item = { ...request, id: this.nextId++, queuedAt: new Date().toISOString() };
+        this.items.push(item);
+        log.info('Queued session request', { id: item.id, guildId: item.guildId, userId: item.userId, size: this.items.length });
+        await this.save();
+        return item;
+    }
+
+    // 1-based position among the requests queued in the same guild (or DM channel)
+    position(item) {
+        return this.list(item).findIndex(queued => queued.id === item.id) + 1;
+    }
+
+    list({ guildId, channelId }) {
+        return this.items.filter(item => (guildId ? item.guildId === guildId : item.channelId === channelId));
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    async remove(id) {
+        const item = this.get(id);
+        if (!item) return null;
+        this.items = this.items.filter(queued => queued !== item);
+        await this.save();
+        return item;
+    }
+
+    // Takes the oldest request that may start now, or null
+    async next() {
+        if (this.items.length === 0) return null;
+        const running = await this.runningSessions();
+        const item = this.items.find(queued => this.checkAgainst(running, queued).allowed);
+        return item ? this.remove(item.id) : null;
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue.then(async () => {
+            const data = JSON.stringify({ nextId: this.nextId, items: this.items }, null, 2);
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, data);
+            await fs.promises.rename(tmpPath, this.filePath);
+        }).catch(err => {
+            log.error('Failed to save session queue', { filePath: this.filePath, err });
+        });
+        return this.writeQueue;
+    }
+}
+
+function createSessionQueue(runningSessions) {
+    return new SessionQueue({
+        filePath: process.env.SESSION_QUEUE_PATH || path.join(__dirname, 'data', 'queue.json'),
+        perGuild: parseInt(process.env.MAX_SESSIONS_PER_GUILD || "0", 10),
+        perUser: parseInt(process.env.MAX_SESSIONS_PER_USER || "0", 10),
+        runningSessions
+    });
+}
+
+module.exports = { SessionQueue, createSessionQueue };
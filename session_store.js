@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { moveAside } = require('./store_files');
+
+const log = logger.child({ component: 'store' });
+
+/**
+ * Session store interface
+ *
+ * A store persists the channel -> Jules session mapping so that sessions survive
+ * restarts, /sleep and Cloud Run scale-to-zero. Every method is async so that
+ * backends such as Redis or Firestore can be plugged in.
+ *
+ * A record looks like:
+ * {
+ *     channelId: string,      // Discord channel the session posts to
+ *     sessionId: string,      // Jules session name ("sessions/123")
+ *     source: string,         // Jules source name ("sources/github/owner/repo")
+ *     creatorId: string,      // Discord user ID of whoever started the session
+ *     guildId: string,        // guild of the channel, unset in DMs
+ *     parentChannelId: string,// set when channelId is a thread created for the session
+ *     seenIds: string[],      // Activity IDs already shown in Discord
+ *     pullRequestUrl: string, // PR from the session's outputs, used to route GitHub webhooks
+ *     completed: boolean,     // true once sessionCompleted or sessionFailed has been seen
+ *     failed: boolean         // true when the session ended with sessionFailed
+ * }
+ *
+ * Methods:
+ *   load()                    -> Promise<void>           read persisted state; rejects (and starts
+ *                                                        empty) when it exists but cannot be read,
+ *                                                        after moving it to <file>.corrupt-<ts>
+ *   get(channelId)            -> Promise<record|null>
+ *   set(channelId, record)    -> Promise<void>           replace a record
+ *   update(channelId, patch)  -> Promise<record|null>    shallow-merge into a record
+ *   delete(channelId)         -> Promise<void>
+ *   list()                    -> Promise<record[]>
+ *
+ * Custom backends: set SESSION_STORE_MODULE to the path of a module exporting a
+ * class whose instances implement the methods above.
+ */
+
+// --- File-backed store (default) ---
+class FileSessionStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = new Map();
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            const data = JSON.parse(raw);
+            this.records = new Map(Object.entries(data.sessions || {}));
+            log.info('Loaded sessions', { count: this.records.size, filePath: this.filePath });
+        } catch (err) {
+            // Start empty either way, but keep and report a file that exists and cannot be read
+            this.records = new Map();
+            if (err.code === 'ENOENT') return;
+            await moveAside(this.filePath, err);
+            throw err;
+        }
+    }
+
+    async get(channelId) {
+        return this.records.get(channelId) || null;
+    }
+
+    async set(channelId, record) {
+        this.records.set(channelId, {
+            seenIds: [],
+            completed: false,
+            ...record,
+            channelId
+        });
+        await this.save();
+    }
+
+    async update(channelId, patch) {
+        const existing = this.records.get(channelId);
+        if (!existing) return null;
+        const updated = { ...existing, ...patch, channelId };
+        this.records.set(channelId, updated);
+        await this.save();
+        return updated;
+    }
+
+    async delete(channelId) {
+        if (this.records.delete(channelId)) {
+            await this.save();
+        }
+    }
+
+    async list() {
+        return Array.from(this.records.values());
+    }
+
+    save() {
+        // Serialize writes and replace the file atomically so a crash mid-write
+        // never leaves a truncated store behind.
+        this.writeQueue = this.writeQueue.then(async () => {
+            const data = JSON.stringify({ sessions: Object.fromEntries(this.records) }, null, 2);
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, data);
+            await fs.promises.rename(tmpPath, this.filePath);
+        }).catch(err => {
+            log.error('Failed to save session store', { filePath: this.filePath, err });
+        });
+        return this.writeQueue;
+    }
+}
+
+function createSessionStore() {
+    const modulePath = process.env.SESSION_STORE_MODULE;
+    if (modulePath) {
+        const Backend = require(path.resolve(modulePath));
+        return new Backend();
+    }
+
+    const filePath = process.env.SESSION_STORE_PATH || path.join(__dirname, 'data', 'sessions.json');
+    return new FileSessionStore(filePath);
+}
+
+module.exports = { FileSessionStore, createSessionStore };
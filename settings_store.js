@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { moveAside } = require('./store_files');
+
+const log = logger.child({ component: 'store' });
+
+/**
+ * Persistent bot settings, grouped by scope ('channels', 'guilds', ...) and keyed
+ * by the Discord ID inside each scope. Used for per-channel defaults that must
+ * outlive a session binding, e.g. session creation options.
+ *
+ * Stored as { [scope]: { [id]: { ...settings } } } in a single JSON file.
+ */
+class FileSettingsStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = {};
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            this.data = JSON.parse(raw);
+        } catch (err) {
+            this.data = {};
+            if (err.code === 'ENOENT') return;
+            await moveAside(this.filePath, err);
+            throw err;
+        }
+    }
+
+    async get(scope, id) {
+        return (this.data[scope] && this.data[scope][id]) || {};
+    }
+
+    // Shallow-merges patch into the settings; keys set to undefined or null are removed.
+    async update(scope, id, patch) {
+        const current = { ...(await this.get(scope, id)), ...patch };
+        for (const key of Object.keys(current)) {
+            if (current[key] === undefined || current[key] === null) delete current[key];
+        }
+        this.data[scope] = this.data[scope] || {};
+        if (Object.keys(current).length > 0) {
+            this.data[scope][id] = current;
+        } else {
+            delete this.data[scope][id];
+        }
+        await this.save();
+        return current;
+    }
+
+    save() {
+        this.writeQueue = this.writeQueue.then(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, JSON.stringify(this.data, null, 2));
+            await fs.promises.rename(tmpPath, this.filePath);
+        }).catch(err => {
+            log.error('Failed to save settings store', { filePath: this.filePath, err });
+        });
+        return this.writeQueue;
+    }
+}
+
+function createSettingsStore() {
+    const filePath = process.env.SETTINGS_STORE_PATH || path.join(__dirname, 'data', 'settings.json');
+    return new FileSettingsStore(filePath);
+}
+
+module.exports = { FileSettingsStore, createSettingsStore };
@@ -0,0 +1,144 @@
+/**
+ * Deterministic source selection.
+ *
+ * Admins keep a registry per guild (a DM counts as its own guild):
+ *   - aliases: short names ("web", "api") for a source,
+ *   - pinned: the sources the bot offers. When set, the LLM fallback and
+ *     autocomplete only see these; naming any other source explicitly still works,
+ * and bind a default source to a channel (threads use their parent's).
+ * Everything lives in the settings store: 'guilds' scope { sourceAliases, pinnedSources },
+ * 'channels' scope { defaultSource }.
+ *
+ * select() picks a source without the LLM when the text names one unambiguously:
+ * a full source name or owner/repo, then an alias, each as a whole word. A bare
+ * repo name is not enough ("api" in "update the api docs"); it is left to the LLM.
+ * Otherwise the channel default is used; only without one does the caller fall
+ * back to the LLM.
+ */
+
+const ALIAS_PATTERN = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function sourceLabel(source) {
+    return source.githubRepo ? `${source.githubRepo.owner}/${source.githubRepo.name}` : source.name.split('/').pop();
+}
+
+// Lower-cased; null when it is not a usable alias
+function normalizeAlias(alias) {
+    const normalized = String(alias || '').trim().toLowerCase();
+    return ALIAS_PATTERN.test(normalized) ? normalized : null;
+}
+
+// Whole-word match that treats owner/repo-name as one word but allows trailing punctuation
+function mentions(text, key) {
+    return new RegExp(`(^|[^\\w./-])${escapeRegExp(key)}(?=$|[^\\w./-]|\\.(?:$|\\s))`).test(text);
+}
+
+/**
+ * @param {string} text
+ * @param {object[]} sources from listSources
+ * @param {{ [alias: string]: string }} [aliases] alias -> source name
+ * @returns {{ source: object, via: 'name'|'alias' }|null} null when nothing or more than one source matches
+ */
+function matchSource(text, sources, aliases = {}) {
+    const message = String(text || '').toLowerCase();
+    const tiers = [
+        { via: 'name', keys: s => [s.name, sourceLabel(s)] },
+        { via: 'alias', keys: s => Object.keys(aliases).filter(alias => aliases[alias] === s.name) }
+    ];
+
+    for (const { via, keys } of tiers) {
+        const hits = sources.filter(source => keys(source).some(key => key && mentions(message, key.toLowerCase())));
+        if (hits.length === 1) return { source: hits[0], via };
+        if (hits.length > 1) return null;
+    }
+    return null;
+}
+
+class SourceRegistry {
+    /**
+     * @param {import('./settings_store').FileSettingsStore} settingsStore
+     */
+    constructor(settingsStore) {
+        this.settingsStore = settingsStore;
+    }
+
+    /**
+     * @param {{ guildId?: string, channelId: string, parentId?: string }} place
+     * @returns {Promise<{ aliases: object, pinned: string[], channelDefault: string|null }>}
+     */
+    async get({ guildId, channelId, parentId }) {
+        const guildSettings = await this.settingsStore.get('guilds', guildId || channelId);
+        const channelSettings = await this.settingsStore.get('channels', channelId);
+        const parentSettings = parentId ? await this.settingsStore.get('channels', parentId) : {};
+        return {
+            aliases: guildSettings.sourceAliases || {},
+            pinned: guildSettings.pinnedSources || [],
+            channelDefault: channelSettings.defaultSource || parentSettings.defaultSource || null
+        };
+    }
+
+    // Pinned sources in their pinned order, or every source when nothing is pinned
+    offered(sources, registry) {
+        if (registry.pinned.length === 0) return sources;
+        const pinned = registry.pinned.map(name => sources.find(s => s.name === name)).filter(Boolean);
+        return pinned.length > 0 ? pinned : sources;
+    }
+
+    /**
+     * The source named by a command option: a source name, owner/repo or alias.
+     */
+    async resolve(value, sources, place) {
+        const wanted = String(value || '').trim();
+        const exact = sources.find(s => s.name === wanted || sourceLabel(s) === wanted);
+        if (exact) return exact;
+        const { aliases } = await this.get(place);
+        const target = aliases[normalizeAlias(wanted)];
+        return sources.find(s => s.name === target) || null;
+    }
+
+    /**
+     * @returns {Promise<{ source: object|null, via: 'name'|'alias'|'channel'|null, offered: object[] }>}
+     *          offered: the sources to hand the LLM when nothing was selected
+     */
+    async select(text, sources, place) {
+        const registry = await this.get(place);
+        const match = matchSource(text, sources, registry.aliases);
+        if (match) return { ...match, offered: sources };
+
+        const channelDefault = sources.find(s => s.name === registry.channelDefault);
+        if (channelDefault) return { source: channelDefault, via: 'channel', offered: sources };
+
+        return { source: null, via: null, offered: this.offered(sources, registry) };
+    }
+
+    async setAlias(place, alias, sourceName) {
+        const settingsId = place.guildId || place.channelId;
+        const aliases = { ...((await this.settingsStore.get('guilds', settingsId)).sourceAliases || {}) };
+        if (sourceName) {
+            aliases[alias] = sourceName;
+        } else {
+            delete aliases[alias];
+        }
+        await this.settingsStore.update('guilds', settingsId, {
+            sourceAliases: Object.keys(aliases).length > 0 ? aliases : null
+        });
+    }
+
+    async setPinned(place, sourceName, pinned) {
+        const settingsId = place.guildId || place.channelId;
+        const current = (await this.settingsStore.get('guilds', settingsId)).pinnedSources || [];
+        const next = current.filter(name => name !== sourceName);
+        if (pinned) next.push(sourceName);
+        await this.settingsStore.update('guilds', settingsId, { pinnedSources: next.length > 0 ? next : null });
+    }
+
+    async setChannelDefault(channelId, sourceName) {
+        await this.settingsStore.update('channels', channelId, { defaultSource: sourceName || null });
+    }
+}
+
+module.exports = { SourceRegistry, matchSource, normalizeAlias, sourceLabel, escapeRegExp };
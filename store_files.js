@@ -0,0 +1,19 @@
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'store' });
+
+/**
+ * Moves a store file that exists but cannot be read to `<file>.corrupt-<timestamp>`.
+ * The store then starts empty, and its next save writes a new file instead of
+ * overwriting the original, which stays around to be repaired by hand.
+ * @returns {Promise<string>} the new path
+ */
+async function moveAside(filePath, err) {
+    const movedTo = `${filePath}.corrupt-${Date.now()}`;
+    await fs.promises.rename(filePath, movedTo);
+    log.warn('Moved unreadable store file aside', { filePath, movedTo, err });
+    return movedTo;
+}
+
+module.exports = { moveAside };
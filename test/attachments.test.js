@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, FakeChannel } = require('./support/harness');
+const { waitFor } = require('./support/fake_discord');
+
+let h;
+
+before(async () => {
+    h = await startHarness({
+        env: { JULES_REQUIRE_PLAN_APPROVAL: 'false', ATTACHMENT_MAX_FILE_CHARS: '300' }
+    });
+});
+
+after(async () => {
+    await h.close();
+});
+
+test('text files are inlined in the session prompt and the bot lists what it sent', async () => {
+    const channel = new FakeChannel({ id: 'attach-start' });
+    const longLog = ['Starting server', ...Array.from({ length: 40 }, (_, i) => `request ${i} ok`), 'TypeError: greeting is not a function'].join('\n');
+    const attachments = [
+        h.discordApi.addAttachment('server.log', longLog, 'text/plain; charset=utf-8'),
+        h.discordApi.addAttachment('fix.diff', '-const a = 1;\n+const a = 2;\n```\n'),
+        h.discordApi.addAttachment('screenshot.png', Buffer.from([0x89, 0x50, 0x4e, 0x47]), 'image/png'),
+        h.discordApi.addAttachment('build.zip', Buffer.from([0x50, 0x4b, 0x03, 0x04]), 'application/zip')
+    ];
+
+    const mention = h.mention(channel, 'fix the crash in chat-app', { attachments });
+    const confirmation = await waitFor(() => mention.replies.find(r => r.content.startsWith('📎')), { message: 'attachment confirmation' });
+
+    assert.equal(confirmation.content, [
+        '📎 Sent to Jules: `server.log` (truncated), `fix.diff`, `screenshot.png` (link only)',
+        '⚠️ Not included: `build.zip` (unsupported type)'
+    ].join('\n'));
+
+    const [session] = h.fakeJules.sessions.values();
+    assert.ok(session.prompt.startsWith('fix the crash in chat-app\n\nAttached file: server.log (truncated to 300 of 603 characters)\n```\nStarting server\n'));
+    assert.match(session.prompt, /characters omitted\] …\n[\s\S]*TypeError: greeting is not a function\n```\n\nAttached file: fix\.diff\n/);
+    assert.ok(session.prompt.includes('Attached file: fix.diff\n````diff\n-const a = 1;\n+const a = 2;\n```\n````'));
+    assert.ok(session.prompt.endsWith(`\n\nAttached image: screenshot.png (not described; link: ${attachments[2].url})`));
+    assert.ok(!session.prompt.includes('build.zip'));
+});
+
+test('images posted to a running session are described by the LLM', async (t) => {
+    // Required after the harness so the modules see its environment
+    const { LocalProvider } = require('../llm_provider');
+    const describe = t.mock.method(LocalProvider.prototype, 'describeImage', async () => 'A red banner saying "Greeting failed".');
+    const channel = new FakeChannel({ id: 'attach-start' });
+    const image = h.discordApi.addAttachment('error.jpg', Buffer.from([0xff, 0xd8, 0xff]), null);
+
+    const reply = h.mention(channel, 'this is what I see now', { attachments: [image] });
+    await waitFor(() => reply.replies.length > 0, { message: 'attachment confirmation' });
+
+    assert.equal(reply.replies[0].content, '📎 Sent to Jules: `error.jpg` (image described)');
+    const [{ arguments: [described] }] = describe.mock.calls;
+    assert.equal(described.mimeType, 'image/jpeg');
+    assert.deepEqual([...described.data], [0xff, 0xd8, 0xff]);
+
+    const [sent] = h.fakeJules.callsTo('POST', ':sendMessage');
+    assert.equal(sent.body.prompt, 'this is what I see now\n\nAttached image: error.jpg\nDescription of the image: A red banner saying "Greeting failed".');
+});
+
+test('image descriptions count against the total size limit', async () => {
+    const { AttachmentCollector } = require('../attachments');
+    const collector = new AttachmentCollector({
+        describeImage: async ({ name }) => `${name}: ${'x'.repeat(60)}`,
+        fetchImpl: async () => new Response('data'),
+        maxTotalChars: 150
+    });
+    const image = (name) => ({ name, url: `https://cdn.example/${name}`, size: 4, contentType: 'image/png' });
+
+    const result = await collector.collect([image('a.png'), image('b.png'), image('c.png'), image('d.png')]);
+    const descriptions = result.sections.map(section => section.split('Description of the image: ')[1]);
+    assert.deepEqual(descriptions.map(description => description.length), [67, 67, 16]);
+    assert.ok(result.sections[2].endsWith('x…'));
+    assert.deepEqual(result.included.map(i => i.name), ['a.png', 'b.png', 'c.png']);
+    assert.deepEqual(result.skipped, [{ name: 'd.png', reason: 'tooLarge' }]);
+});
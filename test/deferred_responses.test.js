@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, FakeChannel } = require('./support/harness');
+const { postInteraction, interactions, waitFor } = require('./support/fake_discord');
+
+let h;
+
+before(async () => {
+    h = await startHarness();
+});
+
+after(async () => {
+    await h.close();
+});
+
+test('plan approval is acknowledged before Jules answers and finished by editing the message', async () => {
+    const channel = new FakeChannel({ id: 'deferred-approve' });
+    h.mention(channel, 'fix the greeting typo in chat-app');
+    const record = await h.startedSession(channel);
+    h.fakeJules.advance(record.sessionId);
+    const planMessage = await waitFor(() => channel.sent.find(m => m.embeds.some(e => e.title === '📋 Plan')), { message: 'plan message' });
+
+    h.bot.activityPoller.stop(record.sessionId);
+    h.fakeJules.pause();
+    const interaction = interactions.button(`approve_plan:${record.sessionId}`, planMessage.toInteractionMessage(), { channelId: channel.id });
+    const { status, body } = await postInteraction(h.baseUrl, h.signer, interaction);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { type: 6 }); // DEFERRED_UPDATE_MESSAGE
+    await waitFor(() => h.fakeJules.heldCount > 0, { message: 'held approvePlan call' });
+    assert.equal(h.discordApi.responsesFor(interaction.token).original, null);
+
+    h.fakeJules.resume();
+    const recorded = await h.discordApi.waitFor(interaction.token, r => r.original);
+    assert.match(recorded.original.data.content, /Plan Approved/);
+    assert.deepEqual(recorded.original.data.components, []);
+    assert.equal(recorded.followUps.length, 0);
+});
+
+test('an ephemeral answer to a public deferral replaces the placeholder', async () => {
+    const interaction = interactions.command('jules', [{ type: 1, name: 'status', options: [] }], { channelId: 'deferred-empty' });
+    const { deferred, body } = await h.interact(interaction);
+
+    assert.deepEqual(deferred, { type: 5, data: {} });
+    assert.equal(body.data.flags, 64);
+    assert.match(body.data.content, /no session/i);
+    const recorded = h.discordApi.responsesFor(interaction.token);
+    assert.equal(recorded.deleted, true);
+    assert.equal(recorded.original, null);
+});
+
+test('errors after a deferral are reported ephemerally', async () => {
+    const interaction = interactions.command('jules', [{ type: 1, name: 'switch', options: [{ type: 3, name: 'session', value: '404' }] }], { channelId: 'deferred-error' });
+    const { deferred, body } = await h.interact(interaction);
+
+    assert.equal(deferred.type, 5);
+    assert.equal(body.data.flags, 64);
+    assert.match(body.data.content, /GetSession Failed \(404\)/);
+});
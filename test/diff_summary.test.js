@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUnifiedDiff, summarizeDiff } = require('../diff_summary');
+
+const PATCH = [
+    'diff --git a/src/app.js b/src/app.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1,3 +1,3 @@',
+    ' const a = 1;',
+    '--- removed line that looks like a header',
+    '+++ added line that looks like a header',
+    ' module.exports = a;',
+    'diff --git a/docs/new.md b/docs/new.md',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/docs/new.md',
+    '@@ -0,0 +1,2 @@',
+    '+# New',
+    '+Text',
+    '\\ No newline at end of file',
+    'diff --git a/old.txt b/old.txt',
+    'deleted file mode 100644',
+    '--- a/old.txt',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-gone',
+    'diff --git a/lib/a.js b/lib/b.js',
+    'similarity index 100%',
+    'rename from lib/a.js',
+    'rename to lib/b.js',
+    'diff --git a/logo.png b/logo.png',
+    'Binary files a/logo.png and b/logo.png differ'
+].join('\n');
+
+test('parses modified, added, deleted, renamed and binary files', () => {
+    const files = parseUnifiedDiff(PATCH);
+    assert.deepEqual(files.map(f => [f.status, f.path, f.additions, f.deletions, f.binary]), [
+        ['modified', 'src/app.js', 1, 1, false],
+        ['added', 'docs/new.md', 2, 0, false],
+        ['deleted', 'old.txt', 0, 1, false],
+        ['renamed', 'lib/b.js', 0, 0, false],
+        ['modified', 'logo.png', 0, 0, true]
+    ]);
+    assert.equal(files[3].oldPath, 'lib/a.js');
+    assert.deepEqual(summarizeDiff(files), { files: 5, additions: 3, deletions: 2 });
+});
+
+test('plain unified diffs without git headers are parsed too', () => {
+    const files = parseUnifiedDiff([
+        '--- a/one.js\t2026-10-19',
+        '+++ b/one.js\t2026-10-19',
+        '@@ -1 +1 @@',
+        '-old',
+        '+new',
+        '--- a/two.js',
+        '+++ b/two.js',
+        '@@ -1,0 +1 @@',
+        '+added'
+    ].join('\n'));
+    assert.deepEqual(files.map(f => [f.path, f.additions, f.deletions]), [['one.js', 1, 1], ['two.js', 1, 0]]);
+    assert.deepEqual(parseUnifiedDiff(''), []);
+});
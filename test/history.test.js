@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, FakeChannel } = require('./support/harness');
+const { interactions, waitFor } = require('./support/fake_discord');
+
+let h;
+
+before(async () => {
+    h = await startHarness({
+        env: { JULES_REQUIRE_PLAN_APPROVAL: 'false' },
+        jules: { maxPageSize: 2 }
+    });
+});
+
+after(async () => {
+    await h.close();
+});
+
+function jules(subcommand, options = [], context = {}) {
+    return h.interact(interactions.command('jules', [{ type: 1, name: subcommand, options }], context));
+}
+
+async function runSession(channel, prompt) {
+    h.mention(channel, prompt);
+    return (await h.startedSession(channel)).sessionId;
+}
+
+test('finished sessions show up in /jules history and export as Markdown and JSON', async () => {
+    const channel = new FakeChannel({ id: 'history-done' });
+    const sessionId = await runSession(channel, 'fix the greeting typo in chat-app');
+    h.fakeJules.advance(sessionId, Infinity);
+    await waitFor(async () => (await h.bot.historyStore.get(sessionId)).status === 'completed', { message: 'completed entry' });
+
+    const { body: history } = await jules('history', [], { channelId: channel.id });
+    assert.equal(history.data.flags, 64);
+    const [line, prompt] = history.data.content.split('\n');
+    assert.match(line, new RegExp(`^✅ \`${sessionId}\` · chat-app · \\d+s · \\[PR\\]\\(<https://github\\.com/octo/chat-app/pull/1>\\) · <@1001> · <t:\\d+:R>$`));
+    assert.equal(prompt, '> fix the greeting typo in chat-app');
+
+    const { body: otherUser } = await jules('history', [{ type: 6, name: 'user', value: '2002' }], { channelId: channel.id });
+    assert.match(otherUser.data.content, /No session history yet/);
+
+    const markdown = await jules('export', [], { channelId: channel.id });
+    assert.match(markdown.body.data.content, /Transcript of `sessions\/1` \(6 activities\)/);
+    assert.deepEqual(markdown.body.data.attachments, [{ id: 0, filename: 'jules-session-1.md' }]);
+    const text = markdown.files[0].text;
+    assert.match(text, /^# fix the greeting typo in chat-app\n/);
+    assert.match(text, /## Prompt\n\n> fix the greeting typo in chat-app/);
+    assert.match(text, /1\. \*\*Find the typo\*\* — Search the source/);
+    assert.match(text, /Progress: Reading the code\n\nLooking at src\/app\.js/);
+    assert.match(text, /```diff\ndiff --git a\/src\/app\.js/);
+    assert.match(text, /Pull request: \[Fix greeting typo\]\(https:\/\/github\.com\/octo\/chat-app\/pull\/1\)/);
+    assert.match(text, /Session completed/);
+
+    const json = await jules('export', [
+        { type: 3, name: 'session', value: '1' },
+        { type: 3, name: 'format', value: 'json' }
+    ], { channelId: 'another-channel' });
+    assert.equal(json.files[0].name, 'jules-session-1.json');
+    const transcript = JSON.parse(json.files[0].text);
+    assert.equal(transcript.session.name, sessionId);
+    assert.deepEqual(transcript.activities.map(a => a.id), h.fakeJules.activities.get(sessionId).map(a => a.id));
+});
+
+test('/jules end marks a running session as ended', async () => {
+    const channel = new FakeChannel({ id: 'history-ended' });
+    const sessionId = await runSession(channel, 'add tests to octo/website');
+
+    const { body } = await jules('end', [], { channelId: channel.id });
+    assert.match(body.data.content, /Left session/);
+
+    const entry = await h.bot.historyStore.get(sessionId);
+    assert.equal(entry.status, 'ended');
+    assert.ok(entry.endedAt);
+
+    const { body: history } = await jules('history', [{ type: 5, name: 'all_channels', value: true }], { channelId: channel.id });
+    const lines = history.data.content.split('\n').filter(l => l.includes('`sessions/'));
+    assert.equal(lines.length, 2);
+    assert.match(lines[0], new RegExp(`^⏹️ \`${sessionId}\`.*<#history-ended>$`));
+    h.bot.activityPoller.stop(sessionId);
+});
+
+test('all_channels history stays within the server, and within the channel in DMs', async () => {
+    await h.bot.historyStore.record('sessions/other-guild', { channelId: 'history-guild-9', guildId: 'guild-9', creatorId: '1001' });
+    await h.bot.historyStore.record('sessions/dm', { channelId: 'history-dm', creatorId: '1001' });
+    const listed = async (context) => {
+        const { body } = await jules('history', [{ type: 5, name: 'all_channels', value: true }], context);
+        return body.data.content.split('\n').filter(l => l.includes('`sessions/')).map(l => l.match(/`(sessions\/[^`]+)`/)[1]);
+    };
+
+    const inGuild = await listed({ channelId: 'history-done' });
+    assert.ok(inGuild.length > 0);
+    assert.ok(!inGuild.includes('sessions/other-guild'));
+    assert.ok(!inGuild.includes('sessions/dm'));
+    assert.deepEqual(await listed({ channelId: 'history-guild-9', guildId: 'guild-9' }), ['sessions/other-guild']);
+    assert.deepEqual(await listed({ channelId: 'history-dm', guildId: null }), ['sessions/dm']);
+});
+
+test('export without a session in the channel asks for one', async () => {
+    const { body } = await jules('export', [], { channelId: 'history-empty' });
+    assert.match(body.data.content, /There is no session in this channel/);
+});
+
+test('session IDs are validated before they reach the Jules API', async () => {
+    const requestsBefore = h.fakeJules.requests.length;
+    for (const [subcommand, value] of [['switch', '../sources'], ['switch', '123?pageSize=1'], ['export', 'sessions/1/activities']]) {
+        const { body } = await jules(subcommand, [{ type: 3, name: 'session', value }], { channelId: 'history-invalid' });
+        assert.equal(body.data.flags, 64);
+        assert.match(body.data.content, /is not a session ID/);
+    }
+    assert.equal(h.fakeJules.requests.length, requestsBefore);
+});
+
+test('/jules status truncates long session titles', async () => {
+    const channel = new FakeChannel({ id: 'history-status' });
+    const sessionId = await runSession(channel, 'add tests to octo/website');
+    h.fakeJules.sessions.get(sessionId).title = 'a'.repeat(300);
+
+    const { body } = await jules('status', [], { channelId: channel.id });
+    assert.equal(body.data.embeds[0].title.length, 256);
+    h.bot.activityPoller.stop(sessionId);
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { InteractionSigner, postInteraction, interactions } = require('./support/fake_discord');
+
+const ADMIN = { id: '1001', username: 'admin' };
+const GUEST = { id: '2002', username: 'guest' };
+
+let h;
+
+before(async () => {
+    h = await startHarness({
+        env: {
+            DISCORD_TOKEN: 'test-token', // client.login is mocked wherever it is reached
+            PERMISSIONS_CONFIG: JSON.stringify({ everyone: ['message_session'], users: { [ADMIN.id]: ['*'] } })
+        }
+    });
+});
+
+after(async () => {
+    await h.close();
+});
+
+test('rejects interactions without a valid signature', async () => {
+    const unsigned = await fetch(`${h.baseUrl}/interactions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(interactions.ping())
+    });
+    assert.equal(unsigned.status, 401);
+
+    const forged = await postInteraction(h.baseUrl, new InteractionSigner(), interactions.ping());
+    assert.equal(forged.status, 401);
+});
+
+test('answers PING with PONG', async () => {
+    const { status, body } = await h.interact(interactions.ping());
+    assert.equal(status, 200);
+    assert.deepEqual(body, { type: 1 });
+});
+
+test('/wake defers, scales up, logs in and follows up once the gateway is ready', async (t) => {
+    const scale = t.mock.method(h.bot.GoogleCloudManager, 'setMinInstances', async (count) => ({ status: 'scaled', count }));
+    const login = t.mock.method(h.bot.client, 'login', async () => 'token');
+    const interaction = interactions.command('wake', [], { user: ADMIN });
+
+    const { status, deferred, body } = await h.interact(interaction);
+
+    assert.equal(status, 200);
+    assert.deepEqual(deferred, { type: 5, data: {} });
+    assert.equal(body.type, 4);
+    assert.match(body.data.content, /^🥱 Waking up.*\n☁️ Cloud Run min-instances set to 1\.$/s);
+    assert.deepEqual(scale.mock.calls.map(c => c.arguments), [[1]]);
+    assert.equal(login.mock.callCount(), 1);
+
+    // A second /wake while the login is under way neither logs in again nor follows up
+    const again = interactions.command('wake', [], { user: ADMIN });
+    await h.interact(again);
+    assert.equal(login.mock.callCount(), 1);
+
+    h.bot.client.emit('ready', h.bot.client);
+    const recorded = await h.discordApi.waitFor(interaction.token, r => r.followUps.length === 1);
+    assert.match(recorded.followUps[0].data.content, /I'm awake and ready to chat \(Model: local\)/);
+    h.bot.client.emit('ready', h.bot.client);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(recorded.followUps.length, 1);
+    assert.equal(h.discordApi.responsesFor(again.token).followUps.length, 0);
+});
+
+test('/sleep answers ephemerally with the scaling outcome', async (t) => {
+    const scale = t.mock.method(h.bot.GoogleCloudManager, 'setMinInstances', async (count) => ({ status: 'failed', count, error: 'PERMISSION_DENIED' }));
+
+    const { deferred, body } = await h.interact(interactions.command('sleep', [], { user: ADMIN }));
+
+    assert.deepEqual(deferred, { type: 5, data: { flags: 64 } });
+    assert.equal(body.type, 4);
+    assert.equal(body.data.flags, 64);
+    assert.match(body.data.content, /^😴 Going to sleep.*\n⚠️ Couldn't scale Cloud Run: PERMISSION_DENIED$/s);
+    assert.deepEqual(scale.mock.calls.map(c => c.arguments), [[0]]);
+});
+
+test('/wake and /sleep need the wake_sleep capability', async (t) => {
+    const scale = t.mock.method(h.bot.GoogleCloudManager, 'setMinInstances', async () => {});
+
+    for (const command of ['wake', 'sleep']) {
+        const { body } = await h.interact(interactions.command(command, [], { user: GUEST }));
+        assert.equal(body.data.flags, 64);
+        assert.match(body.data.content, /permission/);
+    }
+    assert.equal(scale.mock.callCount(), 0);
+});
+
+test('/jules list only shows sessions bound in the calling server', async () => {
+    await h.bot.sessionStore.set('list-here', { sessionId: 'sessions/here', source: 'sources/github/octo/chat-app', guildId: 'guild-1' });
+    await h.bot.sessionStore.set('list-there', { sessionId: 'sessions/there', source: 'sources/github/octo/website', guildId: 'guild-2' });
+    await h.bot.sessionStore.set('list-dm', { sessionId: 'sessions/dm', source: 'sources/github/octo/website' });
+    const list = async (context) => (await h.interact(interactions.command('jules', [{ type: 1, name: 'list', options: [] }], { user: GUEST, ...context }))).body.data.content;
+
+    assert.equal(await list({ channelId: 'list-here' }), '👉 ⏳ `sessions/here` chat-app (<#list-here>)');
+    assert.equal(await list({ channelId: 'list-dm', guildId: null }), '👉 ⏳ `sessions/dm` website (<#list-dm>)');
+    assert.equal(await list({ channelId: 'list-elsewhere', guildId: 'guild-3' }), 'No sessions yet.');
+});
+
+test('unknown interaction types get a 400', async () => {
+    const { status } = await h.interact({ ...interactions.command('wake'), type: 99 });
+    assert.equal(status, 400);
+});
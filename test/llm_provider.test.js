@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LocalProvider, validateSourceDecision } = require('../llm_provider');
+const { getPersona } = require('../personas');
+
+const SOURCES = [
+    { name: 'sources/github/octo/chat-app', githubRepo: { owner: 'octo', repo: 'chat-app', name: 'chat-app' } },
+    { name: 'sources/github/octo/website', githubRepo: { owner: 'octo', repo: 'website', name: 'website' } }
+];
+
+test('validateSourceDecision accepts an in-range index or a reply', () => {
+    assert.deepEqual(validateSourceDecision({ matchIndex: 1, reply: null }, 2), { matchIndex: 1, reply: null });
+    assert.deepEqual(validateSourceDecision({ reply: 'Which one?' }, 2), { matchIndex: null, reply: 'Which one?' });
+});
+
+test('validateSourceDecision rejects bad indexes, replies and shapes', () => {
+    for (const matchIndex of [2, -1, 0.5, '1']) {
+        assert.throws(() => validateSourceDecision({ matchIndex, reply: null }, 2), /invalid matchIndex/);
+    }
+    assert.throws(() => validateSourceDecision({ matchIndex: null, reply: 42 }, 2), /reply must be a string/);
+    assert.throws(() => validateSourceDecision({ matchIndex: null, reply: '' }, 2), /needs a matchIndex or a reply/);
+    assert.throws(() => validateSourceDecision([0], 2), /must be an object/);
+});
+
+test('the local provider matches names and numbered answers, and asks otherwise', async () => {
+    const local = new LocalProvider();
+    const persona = getPersona('en-friendly');
+
+    assert.deepEqual(await local.pickSource('fix the footer in octo/website', SOURCES, persona), { matchIndex: 1, reply: null });
+    assert.deepEqual(await local.pickSource('update chat-app please', SOURCES, persona), { matchIndex: 0, reply: null });
+    assert.deepEqual(await local.pickSource(' #2 ', SOURCES, persona), { matchIndex: 1, reply: null });
+
+    // Numbers outside the list ask again
+    for (const answer of ['3', '0']) {
+        const { matchIndex, reply } = await local.pickSource(answer, SOURCES, persona);
+        assert.equal(matchIndex, null);
+        assert.match(reply, /\n1\. octo\/chat-app\n2\. octo\/website$/);
+    }
+});
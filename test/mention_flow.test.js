@@ -0,0 +1,148 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, FakeChannel } = require('./support/harness');
+const { interactions, waitFor } = require('./support/fake_discord');
+
+let h;
+
+before(async () => {
+    // Small pages so every listing goes through pagination
+    h = await startHarness({ jules: { maxPageSize: 2 } });
+});
+
+after(async () => {
+    await h.close();
+});
+
+function sentWith(channel, predicate) {
+    return () => channel.sent.find(predicate);
+}
+
+function hasEmbed(title) {
+    return (message) => message.embeds.some(embed => embed.title === title);
+}
+
+async function approvePlan(channel, sessionId) {
+    h.fakeJules.advance(sessionId);
+    const planMessage = await waitFor(sentWith(channel, hasEmbed('📋 Plan')), { message: 'plan message' });
+
+    const customIds = planMessage.components[0].components.map(c => c.custom_id);
+    assert.deepEqual(customIds, [`approve_plan:${sessionId}`, `request_changes:${sessionId}`, `reject_plan:${sessionId}`]);
+
+    const { body } = await h.interact(interactions.button(`approve_plan:${sessionId}`, planMessage.toInteractionMessage(), { channelId: channel.id }));
+    assert.equal(body.type, 7); // UPDATE_MESSAGE
+    assert.match(body.data.content, /Plan Approved/);
+    assert.deepEqual(body.data.components, []);
+}
+
+test('mention flow: pick a source, approve the plan and follow the run to the PR', async () => {
+    const channel = new FakeChannel({ id: 'flow-success' });
+
+    // A generic mention asks for a repository instead of starting a session
+    const hello = h.mention(channel, 'hi');
+    const question = await waitFor(() => hello.replies[0], { message: 'source question' });
+    assert.match(question.content, /Which repository/);
+    assert.match(question.content, /1\. octo\/chat-app\n2\. octo\/website/);
+    assert.equal(h.fakeJules.sessions.size, 0);
+
+    // Naming a repository starts the session there
+    const pick = h.mention(channel, 'fix the greeting typo in chat-app');
+    const preparing = await waitFor(() => pick.replies[0], { message: 'preparing reply' });
+    assert.match(preparing.content, /preparing \*\*chat-app\*\*/);
+
+    const { sessionId } = await h.startedSession(channel);
+    const session = h.fakeJules.sessions.get(sessionId);
+    assert.equal(session.prompt, 'fix the greeting typo in chat-app');
+    assert.equal(session.sourceContext.source, 'sources/github/octo/chat-app');
+    assert.equal(session.requirePlanApproval, true);
+    assert.equal(session.automationMode, 'AUTO_CREATE_PR');
+
+    await approvePlan(channel, sessionId);
+    assert.equal(h.fakeJules.callsTo('POST', ':approvePlan').length, 1);
+
+    // Release the whole run at once: progress, change set, PR and completion
+    h.fakeJules.advance(sessionId, Infinity);
+    await waitFor(async () => (await h.bot.sessionStore.get(channel.id)).completed, { message: 'completed session' });
+    await waitFor(() => !h.bot.activityPoller.isWatching(sessionId), { message: 'watcher to stop' });
+
+    const progress = channel.sent.filter(hasEmbed('⏳ Progress'));
+    assert.equal(progress.length, 1, 'progress is edited in place');
+    assert.equal(progress[0].edits.length, 1);
+    assert.equal(progress[0].embeds[0].footer.text, 'Update #2');
+
+    const changes = channel.sent.find(hasEmbed('📝 Code changes'));
+    assert.match(changes.embeds[0].description, /M \+1 -1\s+src\/app\.js/);
+    assert.deepEqual(changes.files.map(f => f.name), ['changes-1.diff']);
+
+    const pr = channel.sent.find(hasEmbed('🔀 Fix greeting typo'));
+    assert.equal(pr.embeds[0].url, `https://github.com/octo/chat-app/pull/${session.id}`);
+
+    const record = await h.bot.sessionStore.get(channel.id);
+    assert.equal(record.failed, undefined);
+    assert.equal(record.pullRequestUrl, pr.embeds[0].url);
+    assert.equal(record.seenIds.length, h.fakeJules.activities.get(sessionId).length);
+
+    // Later mentions go to the same session and the reply is posted
+    h.mention(channel, 'thanks, please also update the README');
+    await waitFor(() => h.fakeJules.pendingCount(sessionId) > 0, { message: 'sendMessage' });
+    assert.equal(h.fakeJules.callsTo('POST', ':sendMessage')[0].body.prompt, 'thanks, please also update the README');
+    h.fakeJules.advance(sessionId);
+    await waitFor(sentWith(channel, m => m.content === 'Got it: thanks, please also update the README'), { message: 'agent reply' });
+    assert.equal(h.fakeJules.sessions.size, 1);
+});
+
+test('a failed session shows the reason and next steps', async () => {
+    const channel = new FakeChannel({ id: 'flow-failure' });
+    h.fakeJules.useScenario('failure');
+
+    h.mention(channel, 'add tests to octo/website');
+    const { sessionId } = await h.startedSession(channel);
+    assert.equal(h.fakeJules.sessions.get(sessionId).sourceContext.source, 'sources/github/octo/website');
+
+    await approvePlan(channel, sessionId);
+    h.fakeJules.advance(sessionId, Infinity);
+
+    const failure = await waitFor(sentWith(channel, hasEmbed('❌ Session failed')), { message: 'failure message' });
+    assert.equal(failure.embeds[0].description, 'Tests kept failing after 3 attempts.');
+    assert.equal(failure.embeds[0].fields[0].name, 'Next steps');
+
+    const bash = channel.sent.find(hasEmbed('$ npm test'));
+    assert.equal(bash.embeds[0].footer.text, 'exit code: 1');
+
+    const record = await waitFor(async () => {
+        const stored = await h.bot.sessionStore.get(channel.id);
+        return stored.failed && stored;
+    }, { message: 'failed session' });
+    assert.equal(record.completed, true);
+    h.fakeJules.useScenario('success');
+});
+
+test('a mention for a deleted session clears the mapping and closes the session as failed', async () => {
+    const channel = new FakeChannel({ id: 'flow-expired' });
+    await h.bot.sessionStore.set(channel.id, { sessionId: 'sessions/404', source: 'sources/github/octo/chat-app', seenIds: [] });
+    await h.bot.historyStore.record('sessions/404', { channelId: channel.id, source: 'sources/github/octo/chat-app' });
+
+    const message = h.mention(channel, 'are you still there?');
+    const reply = await waitFor(() => message.replies[0], { message: 'expired reply' });
+
+    assert.match(reply.content, /session seems to have expired/);
+    assert.equal(await h.bot.sessionStore.get(channel.id), null);
+    assert.equal(h.fakeJules.callsTo('POST', ':sendMessage').filter(r => r.path.includes('/404')).length, 0);
+    assert.equal((await h.bot.historyStore.get('sessions/404')).status, 'failed');
+    assert.equal(h.bot.activityPoller.isWatching('sessions/404'), false);
+});
+
+test('a session deleted on the Jules side is closed as failed and no longer counts as running', async () => {
+    const channel = new FakeChannel({ id: 'flow-deleted' });
+    h.mention(channel, 'fix the greeting typo in chat-app');
+    const { sessionId } = await h.startedSession(channel);
+
+    h.fakeJules.deleteSession(sessionId);
+    h.bot.activityPoller.nudge(sessionId);
+    await waitFor(() => !h.bot.activityPoller.isWatching(sessionId), { message: 'watcher to stop' });
+
+    const record = await h.bot.sessionStore.get(channel.id);
+    assert.equal(record.completed, true);
+    assert.equal(record.failed, true);
+    assert.equal((await h.bot.historyStore.get(sessionId)).status, 'failed');
+});
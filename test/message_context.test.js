@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, FakeChannel, FakeMessage } = require('./support/harness');
+const { waitFor } = require('./support/fake_discord');
+
+const GUILD = '100';
+const BOB = { id: '3003', username: 'bob', displayName: 'Bob' };
+
+let h;
+const channels = new Map();
+
+function channel(options) {
+    const created = new FakeChannel({ guildId: GUILD, ...options });
+    channels.set(created.id, created);
+    return created;
+}
+
+before(async () => {
+    h = await startHarness({
+        env: { JULES_REQUIRE_PLAN_APPROVAL: 'false', CONTEXT_HISTORY_MESSAGES: '2' }
+    });
+    h.bot.client.channels.fetch = async (id) => channels.get(id) || null;
+});
+
+after(async () => {
+    await h.close();
+});
+
+async function promptOfNewSession(sessionChannel) {
+    const record = await h.startedSession(sessionChannel);
+    return h.fakeJules.sessions.get(record.sessionId).prompt;
+}
+
+test('replied-to and linked messages are added with authors and times, mentions become names', async () => {
+    const bugs = channel({ id: '111', name: 'bugs' });
+    const ops = channel({ id: '333', name: 'ops' });
+    const work = channel({ id: '222', name: 'work' });
+
+    const report = new FakeMessage({
+        id: '5001',
+        content: 'The greeting says "helo" since <@3003> deployed',
+        channel: bugs,
+        author: { id: '2002', username: 'alice' },
+        displayName: 'Alice',
+        mentions: [BOB],
+        createdAt: new Date('2026-10-19T05:30:00Z')
+    });
+    new FakeMessage({
+        id: '6001',
+        content: 'TypeError: greeting is not a function\n    at render (src/app.js:2)',
+        channel: ops,
+        author: { id: '4004', username: 'carol' },
+        createdAt: new Date('2026-10-19T05:45:10Z')
+    });
+
+    const secret = channel({ id: '777', name: 'secret' });
+    secret.permissionsFor = () => ({ has: () => false });
+    new FakeMessage({ id: '7701', content: 'not for everyone', channel: secret });
+
+    // Neither another guild's message nor one the author cannot read is followed
+    const otherGuildLink = 'https://discord.com/channels/999/444/7001';
+    const privateLink = `https://discord.com/channels/${GUILD}/777/7701`;
+    const mention = h.mention(work, `fix this in chat-app <@3003>, log: https://discord.com/channels/${GUILD}/333/6001 ${otherGuildLink} ${privateLink}`, {
+        reference: report,
+        mentions: [BOB]
+    });
+
+    const prompt = await promptOfNewSession(work);
+    assert.equal(prompt, [
+        `fix this in chat-app @Bob, log: https://discord.com/channels/${GUILD}/333/6001 ${otherGuildLink} ${privateLink}`,
+        'Context from the Discord conversation:',
+        'Replied-to message from Alice in #bugs (2026-10-19 05:30 UTC):\n> The greeting says "helo" since @Bob deployed',
+        'Linked message from carol in #ops (2026-10-19 05:45 UTC):\n> TypeError: greeting is not a function\n>     at render (src/app.js:2)'
+    ].join('\n\n'));
+
+    const confirmation = await waitFor(() => mention.replies.find(r => r.content.startsWith('🧵')), { message: 'context confirmation' });
+    assert.equal(confirmation.content, '🧵 Included 2 message(s) from the conversation as context.');
+    assert.equal((await h.bot.historyStore.get('sessions/1')).prompt, `fix this in chat-app @Bob, log: https://discord.com/channels/${GUILD}/333/6001 ${otherGuildLink} ${privateLink}`);
+});
+
+test('in threads the last messages before the mention are included in order', async () => {
+    const thread = channel({ id: '555', name: 'greeting-bug', thread: true });
+    const startedAt = Date.parse('2026-10-19T06:00:00Z');
+    ['first idea', 'it only happens on the home page', 'and only in production'].forEach((content, i) => {
+        new FakeMessage({ id: String(8001 + i), content, channel: thread, createdAt: new Date(startedAt + i * 60000) });
+    });
+
+    h.mention(thread, 'fix it in chat-app', { createdAt: new Date(startedAt + 5 * 60000) });
+
+    const prompt = await promptOfNewSession(thread);
+    assert.equal(prompt, [
+        'fix it in chat-app',
+        'Context from the Discord conversation:',
+        'Earlier in the thread from tester in #greeting-bug (2026-10-19 06:01 UTC):\n> it only happens on the home page',
+        'Earlier in the thread from tester in #greeting-bug (2026-10-19 06:02 UTC):\n> and only in production'
+    ].join('\n\n'));
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, FakeChannel } = require('./support/harness');
+const { waitFor } = require('./support/fake_discord');
+
+let h;
+
+before(async () => {
+    h = await startHarness({
+        env: { JULES_REQUIRE_PLAN_APPROVAL: 'false', READINESS_CACHE_MS: '0' }
+    });
+});
+
+after(async () => {
+    await h.close();
+});
+
+async function get(path) {
+    const response = await fetch(`${h.baseUrl}${path}`);
+    const text = await response.text();
+    return { status: response.status, contentType: response.headers.get('content-type'), text };
+}
+
+test('/metrics counts sessions, monitors and Jules API errors', async () => {
+    const channel = new FakeChannel({ id: 'metrics-channel' });
+    h.mention(channel, 'fix the greeting typo in chat-app');
+    const record = await h.startedSession(channel);
+
+    let metrics = await get('/metrics');
+    assert.equal(metrics.status, 200);
+    assert.match(metrics.contentType, /^text\/plain;.*version=0\.0\.4/);
+    assert.match(metrics.text, /# TYPE jules_bot_sessions_started_total counter/);
+    assert.match(metrics.text, /^jules_bot_sessions_started_total\{origin="mention"\} 1$/m);
+    assert.match(metrics.text, /^jules_bot_active_monitors 1$/m);
+    assert.match(metrics.text, /^jules_bot_gateway_ready 0$/m);
+
+    // The session disappears upstream: the poller's 404 is counted and stops the watcher
+    h.fakeJules.deleteSession(record.sessionId);
+    await waitFor(() => !h.bot.activityPoller.isWatching(record.sessionId), { message: 'watcher stopped' });
+
+    metrics = await get('/metrics');
+    assert.match(metrics.text, /^jules_bot_jules_api_errors_total\{operation="ListActivities",status="404"\} 1$/m);
+    assert.match(metrics.text, /^jules_bot_active_monitors 0$/m);
+});
+
+test('/healthz and /readyz report the bot and Jules API state', async () => {
+    const health = await get('/healthz');
+    assert.equal(health.status, 200);
+    assert.deepEqual(JSON.parse(health.text), { status: 'ok' });
+
+    let ready = await get('/readyz');
+    assert.equal(ready.status, 200);
+    let body = JSON.parse(ready.text);
+    assert.equal(body.status, 'ready');
+    assert.deepEqual(body.checks.stores, { ok: true, sessions: true, settings: true, history: true, queue: true });
+    assert.deepEqual(body.checks.julesApi, { ok: true });
+    // Never logged in, so the gateway is not expected to be up
+    assert.equal(body.checks.gateway.ok, true);
+    assert.equal(body.checks.gateway.wanted, false);
+
+    const apiKey = h.fakeJules.apiKey;
+    h.fakeJules.apiKey = 'rotated-key';
+    try {
+        ready = await get('/readyz');
+        assert.equal(ready.status, 503);
+        body = JSON.parse(ready.text);
+        assert.equal(body.status, 'not ready');
+        assert.equal(body.checks.julesApi.ok, false);
+        assert.match(body.checks.julesApi.error, /Ping Failed \(401\)/);
+    } finally {
+        h.fakeJules.apiKey = apiKey;
+    }
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, FakeChannel } = require('./support/harness');
+const { interactions, waitFor } = require('./support/fake_discord');
+
+const OWNER = { id: '3001', username: 'owner' };
+const OTHER = { id: '3002', username: 'other' };
+const ADMIN = { id: '3003', username: 'admin' };
+const CHAT_APP = 'sources/github/octo/chat-app';
+
+let h;
+
+before(async () => {
+    h = await startHarness({
+        env: {
+            PERMISSIONS_CONFIG: JSON.stringify({
+                everyone: ['start_session', 'message_session', 'approve_plan'],
+                users: { [ADMIN.id]: ['manage_settings'] },
+                sources: { [CHAT_APP]: { users: [OWNER.id] } }
+            })
+        }
+    });
+});
+
+after(async () => {
+    await h.close();
+});
+
+test('plan buttons keep the source restriction after the channel is unbound', async () => {
+    const channel = new FakeChannel({ id: 'perm-unbound' });
+    h.mention(channel, 'fix the greeting typo in chat-app', { author: OWNER });
+    const record = await h.startedSession(channel);
+    h.fakeJules.advance(record.sessionId);
+    const planMessage = await waitFor(() => channel.sent.find(m => m.embeds.some(e => e.title === '📋 Plan')), { message: 'plan message' });
+
+    await h.interact(interactions.command('jules', [{ type: 1, name: 'end', options: [] }], { channelId: channel.id, user: OWNER }));
+    assert.equal(await h.bot.sessionStore.get(channel.id), null);
+
+    const button = (user) => interactions.button(`approve_plan:${record.sessionId}`, planMessage.toInteractionMessage(), { channelId: channel.id, user });
+    const denied = await h.interact(button(OTHER));
+    assert.equal(denied.body.data.flags, 64);
+    assert.match(denied.body.data.content, /no access to source "sources\/github\/octo\/chat-app"/);
+    assert.equal(h.fakeJules.callsTo('POST', ':approvePlan').length, 0);
+
+    const approved = await h.interact(button(OWNER));
+    assert.match(approved.body.data.content, /Plan Approved/);
+    assert.equal(h.fakeJules.callsTo('POST', ':approvePlan').length, 1);
+});
+
+test('plan buttons are denied when the session source cannot be determined', async () => {
+    const denied = await h.interact(interactions.button('approve_plan:sessions/unknown', { id: 'plan-msg', content: '📋 Plan', embeds: [], components: [] }, { channelId: 'perm-unknown', user: OWNER }));
+    assert.match(denied.body.data.content, /unknown source/);
+    assert.equal(h.fakeJules.callsTo('POST', ':approvePlan').length, 1);
+});
+
+test('Request Changes does not wait on a slow Jules API to find the session source', async () => {
+    h.fakeJules.pause('/sessions/slow');
+    const started = Date.now();
+    try {
+        const denied = await h.interact(interactions.button('request_changes:sessions/slow', { id: 'plan-msg', content: '📋 Plan', embeds: [], components: [] }, { channelId: 'perm-slow', user: OWNER }));
+        assert.match(denied.body.data.content, /unknown source/);
+    } finally {
+        h.fakeJules.resume();
+    }
+    assert.ok(Date.now() - started < 3000);
+    assert.equal(h.fakeJules.callsTo('GET', '/sessions/slow').length, 1);
+});
+
+test('channel-wide persona and defaults need the manage_settings capability', async () => {
+    const jules = (name, options, user) => h.interact(interactions.command('jules', [{ type: 1, name, options }], { channelId: 'perm-settings', user }));
+
+    const persona = await jules('persona', [{ type: 3, name: 'name', value: 'ja-timid-boy' }], OTHER);
+    assert.match(persona.body.data.content, /missing capability "manage_settings"/);
+    const defaults = await jules('defaults', [{ type: 5, name: 'thread', value: true }], OTHER);
+    assert.match(defaults.body.data.content, /missing capability "manage_settings"/);
+    assert.deepEqual(await h.bot.settingsStore.get('channels', 'perm-settings'), {});
+
+    // Looking at the defaults stays open
+    const shown = await jules('defaults', [], OTHER);
+    assert.match(shown.body.data.content, /Default options for this channel/);
+
+    await jules('defaults', [{ type: 5, name: 'thread', value: true }], ADMIN);
+    const changed = await jules('persona', [{ type: 3, name: 'name', value: 'ja-timid-boy' }], ADMIN);
+    assert.match(changed.body.data.content, /ペルソナ/);
+    assert.deepEqual(await h.bot.settingsStore.get('channels', 'perm-settings'), { sessionOptions: { useThread: true }, persona: 'ja-timid-boy' });
+});
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startHarness } = require('./support/harness');
+const { interactions, waitFor } = require('./support/fake_discord');
+
+const CHAT_APP = 'sources/github/octo/chat-app';
+const WEBSITE = 'sources/github/octo/website';
+
+let h;
+const templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jules-templates-'));
+const templatesFile = path.join(templatesDir, 'templates.json');
+
+before(async () => {
+    fs.writeFileSync(templatesFile, JSON.stringify({
+        'bump-dep': { prompt: 'Bump {package} to the latest version', source: 'octo/chat-app', options: { automationMode: 'AUTO_CREATE_PR' } }
+    }));
+    h = await startHarness({
+        env: { JULES_REQUIRE_PLAN_APPROVAL: 'false', TEMPLATES_FILE: templatesFile }
+    });
+});
+
+after(async () => {
+    await h.close();
+    fs.rmSync(templatesDir, { recursive: true, force: true });
+});
+
+function templateCommand(name, options, context) {
+    return interactions.command('jules', [{ type: 2, name: 'template', options: [{ type: 1, name, options }] }], context);
+}
+
+function runCommand(options, context) {
+    return interactions.command('jules', [{ type: 1, name: 'run', options }], context);
+}
+
+test('templates are added, listed and protected when they come from the config file', async () => {
+    const { body } = await h.interact(templateCommand('add', [
+        { type: 3, name: 'name', value: 'Add-Tests' },
+        { type: 3, name: 'prompt', value: 'Add unit tests for {module}, covering {case}' },
+        { type: 3, name: 'repo', value: 'octo/website' },
+        { type: 5, name: 'thread', value: false }
+    ]));
+    assert.match(body.data.content, /Saved the template \*\*add-tests\*\*\. Placeholders: \{module\}, \{case\}/);
+    assert.deepEqual((await h.bot.settingsStore.get('guilds', 'guild-1')).promptTemplates['add-tests'], {
+        prompt: 'Add unit tests for {module}, covering {case}',
+        source: WEBSITE,
+        options: { useThread: false }
+    });
+
+    const { body: list } = await h.interact(templateCommand('list', []));
+    assert.equal(list.data.flags, 64);
+    assert.match(list.data.content, /^\*\*add-tests\*\* \(website\) — Add unit tests for \{module\}, covering \{case\}$/m);
+    assert.match(list.data.content, /^🔒 \*\*bump-dep\*\* \(chat-app\) — Bump \{package\} to the latest version$/m);
+
+    const readOnly = await h.interact(templateCommand('remove', [{ type: 3, name: 'template', value: 'bump-dep' }]));
+    assert.match(readOnly.body.data.content, /comes from the config file/);
+
+    const tooMany = await h.interact(templateCommand('add', [
+        { type: 3, name: 'name', value: 'many' },
+        { type: 3, name: 'prompt', value: '{a} {b} {c} {d} {e} {f}' }
+    ]));
+    assert.match(tooMany.body.data.content, /at most 5 placeholders/);
+});
+
+test('/jules run asks for the placeholders in a modal and starts the session with the template source', async () => {
+    const run = runCommand([{ type: 3, name: 'template', value: 'add-tests' }], { channelId: 'template-channel' });
+    const { body: modal } = await h.interact(run);
+    assert.equal(modal.type, 9);
+    assert.equal(modal.data.custom_id, `run_template:${run.id}`);
+    assert.deepEqual(modal.data.components.map(row => row.components[0].custom_id), ['module', 'case']);
+
+    const submit = interactions.modalSubmit(modal.data.custom_id, { module: 'src/footer.js', case: 'an empty year' }, { channelId: 'template-channel' });
+    const { deferred, body } = await h.interact(submit);
+    assert.equal(deferred.type, 5);
+    assert.match(body.data.content, /website/);
+    assert.match(body.data.content, /^> Add unit tests for src\/footer\.js, covering an empty year$/m);
+
+    const record = await waitFor(() => h.bot.sessionStore.get('template-channel'), { message: 'stored session' });
+    assert.equal(record.source, WEBSITE);
+    assert.equal(h.fakeJules.sessions.get(record.sessionId).prompt, 'Add unit tests for src/footer.js, covering an empty year');
+
+    // The pending run is used up by the submit
+    const again = await h.interact(interactions.modalSubmit(modal.data.custom_id, { module: 'x', case: 'y' }, { channelId: 'template-channel' }));
+    assert.match(again.body.data.content, /form has expired/);
+});
+
+test('a template without placeholders starts right away, with the channel default as its source', async () => {
+    await h.interact(templateCommand('add', [
+        { type: 3, name: 'name', value: 'fix-lint' },
+        { type: 3, name: 'prompt', value: 'Fix all lint errors' }
+    ]));
+
+    const noRepo = await h.interact(runCommand([{ type: 3, name: 'template', value: 'fix-lint' }], { channelId: 'lint-channel' }));
+    assert.equal(noRepo.body.data.flags, 64);
+    assert.match(noRepo.body.data.content, /\*\*fix-lint\*\* has no repository/);
+
+    await h.interact(interactions.command('jules', [{
+        type: 2,
+        name: 'source',
+        options: [{ type: 1, name: 'set', options: [{ type: 3, name: 'repo', value: CHAT_APP }, { type: 5, name: 'channel_default', value: true }] }]
+    }], { channelId: 'lint-channel' }));
+
+    const { deferred, body } = await h.interact(interactions.command('jules', [{
+        type: 2,
+        name: 'template',
+        options: [{ type: 1, name: 'run', options: [{ type: 3, name: 'template', value: 'fix-lint' }] }]
+    }], { channelId: 'lint-channel' }));
+    assert.equal(deferred.type, 5);
+    assert.match(body.data.content, /chat-app/);
+    const record = await waitFor(() => h.bot.sessionStore.get('lint-channel'), { message: 'stored session' });
+    assert.equal(record.source, CHAT_APP);
+
+    const missing = await h.interact(runCommand([{ type: 3, name: 'template', value: 'nope' }]));
+    assert.match(missing.body.data.content, /couldn't find a template called \*\*nope\*\*/);
+});
@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startHarness } = require('./support/harness');
+
+let h;
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jules-corrupt-store-'));
+const sessionsFile = path.join(storeDir, 'sessions.json');
+const CORRUPT = '{ "sessions": { "channel-1": ';
+
+before(async () => {
+    fs.writeFileSync(sessionsFile, CORRUPT);
+    h = await startHarness({
+        env: { SESSION_STORE_PATH: sessionsFile, READINESS_CACHE_MS: '0' }
+    });
+});
+
+after(async () => {
+    await h.close();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+test('a session store that cannot be read keeps /readyz at 503', async () => {
+    const response = await fetch(`${h.baseUrl}/readyz`);
+    assert.equal(response.status, 503);
+    const body = await response.json();
+    assert.equal(body.checks.stores.ok, false);
+    assert.equal(body.checks.stores.sessions, false);
+    assert.equal(body.checks.stores.settings, true);
+    assert.deepEqual(await h.bot.sessionStore.list(), []);
+});
+
+test('the unreadable file is moved aside so saving does not overwrite it', async () => {
+    const moved = fs.readdirSync(storeDir).filter(name => name.startsWith('sessions.json.corrupt-'));
+    assert.equal(moved.length, 1);
+
+    await h.bot.sessionStore.set('channel-2', { sessionId: 'sessions/2', source: 'sources/github/octo/chat-app' });
+    assert.equal(fs.readFileSync(path.join(storeDir, moved[0]), 'utf8'), CORRUPT);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(sessionsFile, 'utf8')).sessions), ['channel-2']);
+});
@@ -0,0 +1,165 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startHarness, FakeChannel } = require('./support/harness');
+const { interactions, waitFor } = require('./support/fake_discord');
+
+const ALICE = { id: '1101', username: 'alice' };
+const BOB = { id: '1102', username: 'bob' };
+const CAROL = { id: '1103', username: 'carol' };
+
+let h;
+const channels = new Map();
+
+function channel(id) {
+    const created = new FakeChannel({ id });
+    channels.set(id, created);
+    return created;
+}
+
+before(async () => {
+    h = await startHarness({
+        env: {
+            JULES_REQUIRE_PLAN_APPROVAL: 'false',
+            MAX_SESSIONS_PER_GUILD: '2',
+            MAX_SESSIONS_PER_USER: '1',
+            PERMISSIONS_CONFIG: JSON.stringify({ everyone: ['start_session', 'message_session'] })
+        }
+    });
+    h.bot.client.channels.fetch = async (id) => channels.get(id) || null;
+});
+
+after(async () => {
+    await h.close();
+});
+
+function queueCommand(options, user) {
+    return interactions.command('jules', [{ type: 1, name: 'queue', options }], { user });
+}
+
+test('a request over the user limit is queued and starts when the running session completes', async () => {
+    const first = channel('queue-1');
+    h.mention(first, 'fix the greeting typo in chat-app', { author: ALICE });
+    const running = await h.startedSession(first);
+
+    const second = channel('queue-2');
+    const request = h.mention(second, 'update the footer in website', { author: ALICE });
+    const queued = await waitFor(() => request.replies.find(r => /queued as \*\*#1\*\*/.test(r.content)), { message: 'queued reply' });
+    assert.match(queued.content, /1\/1 sessions are already running for you/);
+    assert.match(queued.content, /position 1/);
+    assert.equal(await h.bot.sessionStore.get(second.id), null);
+
+    const { body } = await h.interact(queueCommand([], ALICE));
+    assert.equal(body.data.flags, 64);
+    assert.match(body.data.content, /^1\. \*\*#1\*\* <@1101> website \(\d+s\) update the footer in website$/m);
+
+    h.fakeJules.advance(running.sessionId, Infinity);
+    const started = await h.startedSession(second);
+    assert.equal(started.source, 'sources/github/octo/website');
+    assert.equal(started.creatorId, ALICE.id);
+    assert.equal(h.fakeJules.sessions.get(started.sessionId).prompt, 'update the footer in website');
+    const notice = await waitFor(() => second.sent.find(m => /your queued request/.test(m.content)), { message: 'start notice' });
+    assert.match(notice.content, /^▶️ <@1101>, your queued request \*\*#1\*\* has started\.\n`sessions\/\S+`$/);
+    assert.equal(h.bot.sessionQueue.size, 0);
+});
+
+test('the guild limit queues other users, and /jules queue cancels requests', async () => {
+    // Alice's session from the first test is still running
+    const bobChannel = channel('queue-3');
+    h.mention(bobChannel, 'fix the greeting typo in chat-app', { author: BOB });
+    const bobSession = await h.startedSession(bobChannel);
+
+    const carolChannel = channel('queue-4');
+    const carolRequest = h.mention(carolChannel, 'fix the footer in website', { author: CAROL });
+    await waitFor(() => carolRequest.replies.find(r => /2\/2 sessions are already running in this server/.test(r.content)), { message: 'guild limit reply' });
+
+    const { body: bobStart } = await h.interact(interactions.command('jules', [{
+        type: 1,
+        name: 'start',
+        options: [{ type: 3, name: 'repo', value: 'octo/website' }, { type: 3, name: 'prompt', value: 'Another one' }]
+    }], { channelId: 'queue-5', user: BOB }));
+    assert.match(bobStart.data.content, /queued as \*\*#3\*\* \(position 2\)/);
+
+    const denied = await h.interact(queueCommand([{ type: 4, name: 'cancel', value: 3 }], CAROL));
+    assert.match(denied.body.data.content, /manage_queue/);
+    const cancelled = await h.interact(queueCommand([{ type: 4, name: 'cancel', value: 3 }], BOB));
+    assert.match(cancelled.body.data.content, /Removed \*\*#3\*\* from the queue/);
+    const missing = await h.interact(queueCommand([{ type: 4, name: 'cancel', value: 3 }], BOB));
+    assert.match(missing.body.data.content, /couldn't find \*\*#3\*\*/);
+
+    const saved = JSON.parse(fs.readFileSync(process.env.SESSION_QUEUE_PATH, 'utf8'));
+    assert.deepEqual(saved.items.map(item => [item.id, item.userId]), [[2, CAROL.id]]);
+
+    // Ending Bob's session unbinds it, but Jules keeps working on it: its slot is
+    // only freed for Carol once it finishes
+    await h.interact(interactions.command('jules', [{ type: 1, name: 'end', options: [] }], { channelId: bobChannel.id, user: BOB }));
+    assert.equal((await h.bot.historyStore.get(bobSession.sessionId)).status, 'ended');
+    assert.equal(await h.bot.sessionStore.get(carolChannel.id), null);
+    assert.equal(h.bot.sessionQueue.size, 1);
+
+    h.fakeJules.advance(bobSession.sessionId, Infinity);
+    const carolSession = await h.startedSession(carolChannel);
+    assert.equal((await h.bot.historyStore.get(bobSession.sessionId)).stillRunning, false);
+    assert.notEqual(carolSession.sessionId, bobSession.sessionId);
+    assert.equal(carolSession.creatorId, CAROL.id);
+    assert.equal(h.bot.sessionQueue.size, 0);
+});
+
+test('concurrent starts cannot both take the last free slot', async () => {
+    const DAVE = { id: '1104', username: 'dave' };
+    const sessionsBefore = h.fakeJules.sessions.size;
+    const start = (channelId, prompt) => h.interact(interactions.command('jules', [{
+        type: 1,
+        name: 'start',
+        options: [{ type: 3, name: 'repo', value: 'octo/website' }, { type: 3, name: 'prompt', value: prompt }]
+    }], { channelId, guildId: 'guild-2', user: DAVE }));
+
+    const replies = await Promise.all([start('queue-6', 'First'), start('queue-7', 'Second')]);
+    const contents = replies.map(({ body }) => body.data.content);
+    assert.equal(contents.filter(content => /queued as/.test(content)).length, 1, contents.join('\n'));
+    assert.equal(h.fakeJules.sessions.size, sessionsBefore + 1);
+    assert.equal(h.bot.sessionQueue.size, 1);
+});
+
+test('the createSession call does not hold up limit checks for other requests', async () => {
+    const start = (channelId, user) => h.interact(interactions.command('jules', [{
+        type: 1,
+        name: 'start',
+        options: [{ type: 3, name: 'repo', value: 'octo/website' }, { type: 3, name: 'prompt', value: 'Slow start' }]
+    }], { channelId, guildId: 'guild-4', user }));
+
+    h.fakeJules.pause('/sessions');
+    const replies = Promise.all([start('queue-11', { id: '1107', username: 'gina' }), start('queue-12', { id: '1108', username: 'hank' })]);
+    try {
+        await waitFor(() => h.fakeJules.heldCount === 2, { message: 'both createSession calls' });
+    } finally {
+        h.fakeJules.resume();
+    }
+    for (const { body } of await replies) assert.match(body.data.content, /`sessions\/\S+`/);
+});
+
+test('sessions bound with /jules switch count against the guild of the channel', async () => {
+    const ERIN = { id: '1105', username: 'erin' };
+    const FRANK = { id: '1106', username: 'frank' };
+    const seeded = () => h.fakeJules.createSession({
+        prompt: 'Seeded session',
+        sourceContext: { source: 'sources/github/octo/website' },
+        requirePlanApproval: true
+    }).name;
+    const inGuild3 = (channelId, user) => ({ channelId, guildId: 'guild-3', user });
+
+    // Known from another guild: the history entry keeps that guild
+    const elsewhere = seeded();
+    await h.bot.historyStore.record(elsewhere, { channelId: 'other-guild', guildId: 'guild-9', source: 'sources/github/octo/website' });
+    for (const [channelId, sessionId] of [['queue-8', elsewhere], ['queue-9', seeded()]]) {
+        await h.interact(interactions.command('jules', [{ type: 1, name: 'switch', options: [{ type: 3, name: 'session', value: sessionId }] }], inGuild3(channelId, ERIN)));
+        assert.equal((await h.bot.sessionStore.get(channelId)).guildId, 'guild-3');
+    }
+
+    const { body } = await h.interact(interactions.command('jules', [{
+        type: 1,
+        name: 'start',
+        options: [{ type: 3, name: 'repo', value: 'octo/website' }, { type: 3, name: 'prompt', value: 'Third one' }]
+    }], inGuild3('queue-10', FRANK)));
+    assert.match(body.data.content, /2\/2 sessions are already running in this server/);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, FakeChannel } = require('./support/harness');
+const { interactions, waitFor } = require('./support/fake_discord');
+const { CronSchedule } = require('../cron_schedule');
+
+const MINUTE = 60000;
+
+let h;
+const channel = new FakeChannel({ id: 'sleepy-channel' });
+
+before(async () => {
+    h = await startHarness({
+        env: { JULES_REQUIRE_PLAN_APPROVAL: 'false', IDLE_SLEEP_MINUTES: '10', IDLE_WARNING_MINUTES: '2' }
+    });
+    h.bot.client.channels.fetch = async (id) => (id === channel.id ? channel : null);
+});
+
+after(async () => {
+    await h.close();
+});
+
+test('/sleep and the idle tracker stay awake while a session is running', async (t) => {
+    const scale = t.mock.method(h.bot.GoogleCloudManager, 'setMinInstances', async (count) => ({ status: 'scaled', count }));
+
+    h.mention(channel, 'fix the greeting typo in chat-app');
+    const record = await h.startedSession(channel);
+
+    const { body } = await h.interact(interactions.command('sleep', [], { channelId: channel.id }));
+    assert.equal(body.data.flags, 64);
+    assert.match(body.data.content, /1 Jules session\(s\) are still running/);
+
+    const sent = channel.sent.length;
+    await h.bot.idleTracker.check(Date.now() + 60 * MINUTE);
+    assert.equal(channel.sent.length, sent);
+    assert.equal(scale.mock.callCount(), 0);
+
+    h.fakeJules.advance(record.sessionId, Infinity);
+    await waitFor(() => !h.bot.activityPoller.isWatching(record.sessionId), { message: 'finished session' });
+});
+
+test('the idle tracker warns the last channel, then scales down', async (t) => {
+    const scale = t.mock.method(h.bot.GoogleCloudManager, 'setMinInstances', async (count) => ({ status: 'scaled', count }));
+    const tracker = h.bot.idleTracker;
+    tracker.touch(channel.id);
+    const start = tracker.lastActivityAt;
+    const sent = channel.sent.length;
+
+    await tracker.check(start + 5 * MINUTE);
+    assert.equal(channel.sent.length, sent);
+
+    await tracker.check(start + 8.5 * MINUTE);
+    await tracker.check(start + 9 * MINUTE);
+    assert.equal(channel.sent.length, sent + 1);
+    assert.match(channel.sent.at(-1).content, /go to sleep in 2 minute\(s\)/);
+
+    await tracker.check(start + 10 * MINUTE);
+    assert.match(channel.sent.at(-1).content, /Going to sleep after being idle/);
+    assert.deepEqual(scale.mock.calls.map(c => c.arguments), [[0]]);
+});
+
+test('cron schedules match in the configured time zone', () => {
+    const weekdayMornings = new CronSchedule('0 9 * * 1-5');
+    // 2026-10-19 is a Monday
+    assert.equal(weekdayMornings.matches(new Date('2026-10-19T00:00:00Z'), 'Asia/Tokyo'), true);
+    assert.equal(weekdayMornings.matches(new Date('2026-10-19T00:00:00Z')), false);
+    assert.equal(weekdayMornings.matches(new Date('2026-10-24T00:00:00Z'), 'Asia/Tokyo'), false);
+
+    // Day of month and day of week both restricted: either one matches
+    const firstOrSunday = new CronSchedule('*/15 18 1 * 0,7');
+    assert.equal(firstOrSunday.matches(new Date('2026-10-01T18:30:00Z')), true);
+    assert.equal(firstOrSunday.matches(new Date('2026-10-25T18:45:00Z')), true);
+    assert.equal(firstOrSunday.matches(new Date('2026-10-26T18:45:00Z')), false);
+    assert.equal(firstOrSunday.matches(new Date('2026-10-25T18:40:00Z')), false);
+
+    assert.throws(() => new CronSchedule('0 9 * *'), /needs 5 fields/);
+    assert.throws(() => new CronSchedule('0 24 * * *'), /Invalid cron hour "24"/);
+});
@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startHarness, FakeChannel } = require('./support/harness');
+const { interactions, waitFor } = require('./support/fake_discord');
+const { matchSource } = require('../source_registry');
+
+const ADMIN = { id: '1001', username: 'admin' };
+const MEMBER = { id: '2002', username: 'member' };
+const CHAT_APP = 'sources/github/octo/chat-app';
+const WEBSITE = 'sources/github/octo/website';
+
+let h;
+
+before(async () => {
+    h = await startHarness({
+        env: {
+            JULES_REQUIRE_PLAN_APPROVAL: 'false',
+            PERMISSIONS_CONFIG: JSON.stringify({
+                everyone: ['start_session', 'message_session'],
+                users: { [ADMIN.id]: ['*'] }
+            })
+        }
+    });
+});
+
+after(async () => {
+    await h.close();
+});
+
+function sourceCommand(name, options, context = {}) {
+    return interactions.command('jules', [{ type: 2, name: 'source', options: [{ type: 1, name, options }] }], { user: ADMIN, ...context });
+}
+
+async function sourceOfNewSession(channel) {
+    const record = await waitFor(() => h.bot.sessionStore.get(channel.id), { message: 'stored session' });
+    return record.source;
+}
+
+test('exact names and aliases are matched as whole words before the LLM', () => {
+    const sources = [
+        { name: CHAT_APP, githubRepo: { owner: 'octo', name: 'chat-app' } },
+        { name: WEBSITE, githubRepo: { owner: 'octo', name: 'website' } },
+        { name: 'sources/github/other/website', githubRepo: { owner: 'other', name: 'website' } }
+    ];
+    const aliases = { web: WEBSITE, chat: CHAT_APP };
+
+    assert.equal(matchSource('fix the typo in octo/chat-app.', sources).source.name, CHAT_APP);
+    assert.equal(matchSource(`update ${WEBSITE} please`, sources).source.name, WEBSITE);
+    assert.deepEqual(matchSource('the footer on web is broken', sources, aliases), { source: sources[1], via: 'alias' });
+    // owner/repo outranks an alias elsewhere in the text
+    assert.equal(matchSource('port the web footer to other/website', sources, aliases).source.name, 'sources/github/other/website');
+
+    assert.equal(matchSource('fix the typo in chat-app', sources), null, 'a bare repo name is left to the LLM');
+    assert.equal(matchSource('fix octo/chat-app.js', sources), null, 'part of a file name');
+    assert.equal(matchSource('the webhook fails', sources, aliases), null, 'part of a word');
+    assert.equal(matchSource('move chat to web', sources, aliases), null, 'two aliases');
+});
+
+test('/jules source set adds aliases that mentions and /jules start understand', async () => {
+    const { body } = await h.interact(sourceCommand('set', [
+        { type: 3, name: 'repo', value: 'octo/website' },
+        { type: 3, name: 'alias', value: 'Web' }
+    ]));
+    assert.equal(body.data.flags, undefined);
+    assert.match(body.data.content, /\*\*web\*\* now means \*\*octo\/website\*\*/);
+
+    // The local provider alone would not know "web"
+    const channel = new FakeChannel({ id: 'alias-channel' });
+    h.mention(channel, 'the footer on web has the wrong year');
+    assert.equal(await sourceOfNewSession(channel), WEBSITE);
+
+    const start = await h.interact(interactions.command('jules', [{
+        type: 1,
+        name: 'start',
+        options: [{ type: 3, name: 'repo', value: 'web' }, { type: 3, name: 'prompt', value: 'Fix the footer' }]
+    }], { channelId: 'alias-command-channel' }));
+    assert.match(start.body.data.content, /website/);
+    assert.equal((await h.bot.sessionStore.get('alias-command-channel')).source, WEBSITE);
+
+    const invalid = await h.interact(sourceCommand('set', [{ type: 3, name: 'alias', value: 'not an alias' }]));
+    assert.equal(invalid.body.data.flags, 64);
+    assert.match(invalid.body.data.content, /can't be an alias/);
+});
+
+test('a channel default is used when a mention names no repository, also in its threads', async () => {
+    await h.interact(sourceCommand('set', [
+        { type: 3, name: 'repo', value: CHAT_APP },
+        { type: 5, name: 'channel_default', value: true }
+    ], { channelId: 'default-channel' }));
+
+    const channel = new FakeChannel({ id: 'default-channel' });
+    h.mention(channel, 'the greeting has a typo');
+    assert.equal(await sourceOfNewSession(channel), CHAT_APP);
+
+    const thread = new FakeChannel({ id: 'default-thread', parentId: 'default-channel', thread: true });
+    h.mention(thread, 'the greeting has a typo');
+    assert.equal(await sourceOfNewSession(thread), CHAT_APP);
+
+    // Naming another repository still wins over the default
+    const other = new FakeChannel({ id: 'default-thread-2', parentId: 'default-channel', thread: true });
+    h.mention(other, 'the footer on octo/website is wrong');
+    assert.equal(await sourceOfNewSession(other), WEBSITE);
+
+    const { body } = await h.interact(sourceCommand('set', [{ type: 5, name: 'channel_default', value: false }], { channelId: 'default-channel' }));
+    assert.match(body.data.content, /Cleared this channel's default/);
+    assert.equal((await h.bot.settingsStore.get('channels', 'default-channel')).defaultSource, undefined);
+});
+
+test('pinned sources limit what is offered; the registry persists and is listed', async () => {
+    await h.interact(sourceCommand('set', [
+        { type: 3, name: 'repo', value: WEBSITE },
+        { type: 5, name: 'pinned', value: true }
+    ]));
+
+    const channel = new FakeChannel({ id: 'pinned-channel' });
+    h.mention(channel, 'hello');
+    const question = await waitFor(() => channel.sent.find(m => /Which repository/.test(m.content)), { message: 'repository question' });
+    assert.match(question.content, /octo\/website/);
+    assert.doesNotMatch(question.content, /chat-app/);
+
+    const autocomplete = {
+        ...interactions.command('jules', [{
+            type: 1,
+            name: 'start',
+            options: [{ type: 3, name: 'repo', value: '', focused: true }]
+        }]),
+        type: 4
+    };
+    const { body: choices } = await h.interact(autocomplete);
+    assert.deepEqual(choices.data.choices, [{ name: 'octo/website (web)', value: WEBSITE }]);
+    // Later keystrokes reuse the source list
+    const listCalls = h.fakeJules.callsTo('GET', '/sources').length;
+    await h.interact(autocomplete);
+    assert.equal(h.fakeJules.callsTo('GET', '/sources').length, listCalls);
+
+    const { body } = await h.interact(sourceCommand('list', []));
+    assert.equal(body.data.flags, 64);
+    assert.match(body.data.content, /📌 `octo\/website` — web/);
+    assert.match(body.data.content, /^`octo\/chat-app`$/m);
+
+    const saved = JSON.parse(fs.readFileSync(process.env.SETTINGS_STORE_PATH, 'utf8'));
+    assert.deepEqual(saved.guilds['guild-1'], { sourceAliases: { web: WEBSITE }, pinnedSources: [WEBSITE] });
+});
+
+test('changing the registry needs the manage_sources capability', async () => {
+    const { body } = await h.interact(sourceCommand('set', [
+        { type: 3, name: 'repo', value: CHAT_APP },
+        { type: 3, name: 'alias', value: 'chat' }
+    ], { user: MEMBER }));
+    assert.equal(body.data.flags, 64);
+    assert.match(body.data.content, /manage_sources/);
+    assert.equal((await h.bot.settingsStore.get('guilds', 'guild-1')).sourceAliases.chat, undefined);
+
+    const list = await h.interact(sourceCommand('list', [], { user: MEMBER }));
+    assert.match(list.body.data.content, /octo\/website/);
+});
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+
+/**
+ * Fake Discord side for offline tests.
+ *
+ * - InteractionSigner holds an Ed25519 key pair and signs interaction payloads
+ *   the way Discord does, so they pass verifyDiscordRequest (give the bot
+ *   signer.publicKey as DISCORD_PUBLIC_KEY).
+ * - interaction builders produce the JSON bodies Discord POSTs to /interactions.
+ * - FakeChannel / FakeMessage stand in for discord.js objects in the gateway
+ *   messageCreate flow and record everything the bot sends.
+ */
+
+class InteractionSigner {
+    constructor() {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+        this.privateKey = privateKey;
+        // Discord hands out the raw 32-byte key as hex; SPKI DER ends with it
+        this.publicKey = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+    }
+
+    headers(rawBody, timestamp = String(Math.floor(Date.now() / 1000))) {
+        const signature = crypto.sign(null, Buffer.from(timestamp + rawBody), this.privateKey);
+        return {
+            'Content-Type': 'application/json',
+            'X-Signature-Ed25519': signature.toString('hex'),
+            'X-Signature-Timestamp': timestamp
+        };
+    }
+}
+
+// POSTs a signed interaction and returns { status, body }
+async function postInteraction(baseUrl, signer, interaction) {
+    const rawBody = JSON.stringify(interaction);
+    const response = await fetch(`${baseUrl}/interactions`, {
+        method: 'POST',
+        headers: signer.headers(rawBody),
+        body: rawBody
+    });
+
+    const text = await response.text();
+    let body = text;
+    try {
+        body = JSON.parse(text);
+    } catch (e) {}
+    return { status: response.status, body };
+}
+
+const DEFAULT_USER = { id: '1001', username: 'tester' };
+
+function baseInteraction(type, { channelId = 'channel-1', guildId = 'guild-1', user = DEFAULT_USER, roles = [] } = {}) {
+    return {
+        id: crypto.randomUUID(),
+        application_id: 'app-1',
+        type,
+        token: `token-${crypto.randomUUID()}`,
+        version: 1,
+        channel_id: channelId,
+        guild_id: guildId,
+        member: { user, roles }
+    };
+}
+
+const interactions = {
+    ping() {
+        return { id: crypto.randomUUID(), application_id: 'app-1', type: 1, token: `token-${crypto.randomUUID()}`, version: 1 };
+    },
+
+    // command('wake') or command('jules', [{ type: 1, name: 'status', options: [] }])
+    command(name, options = [], context) {
+        return { ...baseInteraction(2, context), data: { id: `cmd-${name}`, name, type: 1, options } };
+    },
+
+    button(customId, message, context) {
+        return { ...baseInteraction(3, context), message, data: { custom_id: customId, component_type: 2 } };
+    },
+
+    modalSubmit(customId, fields, context) {
+        return {
+            ...baseInteraction(5, context),
+            data: {
+                custom_id: customId,
+                components: Object.entries(fields).map(([id, value]) => ({
+                    type: 1,
+                    components: [{ type: 4, custom_id: id, value }]
+                }))
+            }
+        };
+    }
+};
+
+// Converts discord.js builders (EmbedBuilder, ActionRowBuilder, ...) to plain JSON.
+function toJSON(value) {
+    if (Array.isArray(value)) return value.map(toJSON);
+    if (value && typeof value.toJSON === 'function') return value.toJSON();
+    return value;
+}
+
+class FakeSentMessage {
+    constructor(channel, payload) {
+        this.id = `msg-${++channel.messageCount}`;
+        this.channel = channel;
+        this.edits = [];
+        this.applyPayload(payload);
+    }
+
+    applyPayload(payload) {
+        const data = typeof payload === 'string' ? { content: payload } : payload;
+        this.content = data.content || '';
+        this.embeds = toJSON(data.embeds || []);
+        this.components = toJSON(data.components || []);
+        this.files = data.files || [];
+    }
+
+    async edit(payload) {
+        this.edits.push(payload);
+        this.applyPayload({ content: this.content, ...payload });
+        return this;
+    }
+
+    // Shape of the message object Discord includes in component interactions
+    toInteractionMessage() {
+        return { id: this.id, channel_id: this.channel.id, content: this.content, embeds: this.embeds, components: this.components };
+    }
+}
+
+class FakeChannel {
+    constructor({ id = 'channel-1', guildId = 'guild-1', parentId = null, name = null, thread = false } = {}) {
+        this.id = id;
+        this.guildId = guildId;
+        this.parentId = parentId;
+        this.name = name;
+        this.thread = thread;
+        this.sent = [];
+        this.messageCount = 0;
+        this.typingCount = 0;
+        this.posted = new Map(); // id -> FakeMessage written by users, for messages.fetch()
+
+        // channel.messages.fetch(id) or fetch({ limit, before }) (newest first, like Discord)
+        this.messages = {
+            fetch: async (query) => {
+                if (typeof query === 'string') {
+                    if (!this.posted.has(query)) throw new Error('Unknown Message');
+                    return this.posted.get(query);
+                }
+                const before = query.before && this.posted.get(query.before);
+                const earlier = [...this.posted.values()]
+                    .filter(m => !before || m.createdTimestamp < before.createdTimestamp)
+                    .sort((a, b) => b.createdTimestamp - a.createdTimestamp)
+                    .slice(0, query.limit);
+                return new Map(earlier.map(m => [m.id, m]));
+            }
+        };
+    }
+
+    async send(payload) {
+        const message = new FakeSentMessage(this, payload);
+        this.sent.push(message);
+        return message;
+    }
+
+    async sendTyping() {
+        this.typingCount++;
+    }
+
+    isThread() {
+        return this.thread;
+    }
+}
+
+class FakeMessage {
+    // mentions: user IDs or { id, username, displayName } users
+    // attachments: { id, name, url, size, contentType } as from FakeDiscordApi.addAttachment()
+    // reference: the FakeMessage this one replies to
+    constructor({
+        id = crypto.randomUUID(),
+        content,
+        channel,
+        author = DEFAULT_USER,
+        displayName = null,
+        mentions = [],
+        guild = true,
+        roles = [],
+        attachments = [],
+        reference = null,
+        createdAt = new Date()
+    }) {
+        this.id = id;
+        this.content = content;
+        this.channel = channel;
+        this.author = { bot: false, ...author };
+        this.guild = guild ? { id: channel.guildId } : null;
+        this.member = guild ? { displayName: displayName || this.author.username, roles: { cache: new Map(roles.map(id => [id, {}])) } } : null;
+        const users = mentions.map(user => (typeof user === 'string' ? { id: user } : user));
+        this.mentions = {
+            users: new Map(users.map(user => [user.id, user])),
+            members: new Map(users.filter(user => user.displayName).map(user => [user.id, { displayName: user.displayName }]))
+        };
+        this.attachments = new Map(attachments.map(a => [a.id, a]));
+        this.referenced = reference;
+        this.reference = reference ? { messageId: reference.id, channelId: reference.channel.id } : null;
+        this.createdAt = createdAt;
+        this.replies = [];
+        channel.posted.set(this.id, this);
+    }
+
+    get createdTimestamp() {
+        return this.createdAt.getTime();
+    }
+
+    async fetchReference() {
+        if (!this.referenced) throw new Error('Message has no reference');
+        return this.referenced;
+    }
+
+    async reply(payload) {
+        const message = await this.channel.send(payload);
+        message.replyTo = this.id;
+        this.replies.push(message);
+        return message;
+    }
+}
+
+// Polls `check` until it returns something truthy.
+async function waitFor(check, { timeout = 5000, interval = 20, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+module.exports = { InteractionSigner, postInteraction, interactions, FakeChannel, FakeMessage, waitFor };
@@ -0,0 +1,129 @@
+const express = require('express');
+
+/**
+ * Fake Discord REST API for the interaction webhook endpoints the bot uses to
+ * finish deferred interactions: edit / delete the original response and post
+ * follow-ups. Give the bot `${fake.baseUrl}` as DISCORD_API_BASE_URL.
+ * It also serves message attachments like the CDN (see addAttachment()).
+ *
+ * Everything is recorded per interaction token:
+ *   { original: { data, files } | null, deleted, followUps: [{ data, files }] }
+ * Multipart bodies are unpacked into the payload_json data and { name, text } files.
+ */
+class FakeDiscordApi {
+    constructor() {
+        this.responses = new Map(); // interaction token -> recorded responses
+        this.waiters = [];
+        this.attachments = new Map(); // id -> { body: Buffer, contentType }
+        this.server = null;
+        this.app = this.createApp();
+    }
+
+    get baseUrl() {
+        return `http://127.0.0.1:${this.server.address().port}/api`;
+    }
+
+    get origin() {
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    // Stores a file and returns it shaped like a discord.js Attachment
+    addAttachment(name, content, contentType = null) {
+        const id = String(this.attachments.size + 1);
+        const body = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+        this.attachments.set(id, { body, contentType });
+        return { id, name, url: `${this.origin}/attachments/${id}/${encodeURIComponent(name)}`, size: body.length, contentType };
+    }
+
+    listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, '127.0.0.1', () => resolve(this.baseUrl));
+            this.server.once('error', reject);
+        });
+    }
+
+    close() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    responsesFor(token) {
+        if (!this.responses.has(token)) {
+            this.responses.set(token, { original: null, deleted: false, followUps: [] });
+        }
+        return this.responses.get(token);
+    }
+
+    // Resolves with the recorded responses once `check` returns true for them
+    waitFor(token, check, timeout = 5000) {
+        const recorded = this.responsesFor(token);
+        if (check(recorded)) return Promise.resolve(recorded);
+        return new Promise((resolve, reject) => {
+            const waiter = { token, check, resolve };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error(`Timed out waiting for the response to interaction ${token}`));
+            }, timeout);
+            this.waiters.push(waiter);
+        });
+    }
+
+    notify(token) {
+        const recorded = this.responsesFor(token);
+        for (const waiter of this.waiters.filter(w => w.token === token && w.check(recorded))) {
+            clearTimeout(waiter.timer);
+            this.waiters = this.waiters.filter(w => w !== waiter);
+            waiter.resolve(recorded);
+        }
+    }
+
+    createApp() {
+        const app = express();
+        app.use(express.raw({ type: () => true, limit: '20mb' }));
+
+        app.get('/attachments/:id/:name', (req, res) => {
+            const attachment = this.attachments.get(req.params.id);
+            if (!attachment) return res.status(404).end();
+            res.type(attachment.contentType || 'application/octet-stream').send(attachment.body);
+        });
+
+        app.patch('/api/v10/webhooks/:appId/:token/messages/@original', async (req, res) => {
+            const recorded = this.responsesFor(req.params.token);
+            recorded.original = await readMessage(req);
+            res.json({ id: 'original', ...recorded.original.data });
+            this.notify(req.params.token);
+        });
+
+        app.delete('/api/v10/webhooks/:appId/:token/messages/@original', (req, res) => {
+            this.responsesFor(req.params.token).deleted = true;
+            res.status(204).end();
+            this.notify(req.params.token);
+        });
+
+        app.post('/api/v10/webhooks/:appId/:token', async (req, res) => {
+            const recorded = this.responsesFor(req.params.token);
+            const message = await readMessage(req);
+            recorded.followUps.push(message);
+            res.json({ id: `followup-${recorded.followUps.length}`, ...message.data });
+            this.notify(req.params.token);
+        });
+
+        app.use((req, res) => res.status(404).json({ message: `No route for ${req.method} ${req.path}`, code: 0 }));
+        return app;
+    }
+}
+
+async function readMessage(req) {
+    const contentType = req.get('content-type') || '';
+    if (!contentType.startsWith('multipart/form-data')) {
+        return { data: req.body.length ? JSON.parse(req.body.toString('utf8')) : {}, files: [] };
+    }
+
+    const form = await new Response(req.body, { headers: { 'content-type': contentType } }).formData();
+    const files = [];
+    for (const [key, value] of form.entries()) {
+        if (key.startsWith('files[')) files.push({ name: value.name, text: await value.text() });
+    }
+    return { data: JSON.parse(form.get('payload_json')), files };
+}
+
+module.exports = { FakeDiscordApi };
@@ -0,0 +1,287 @@
+const express = require('express');
+
+/**
+ * Fake Jules API (v1alpha) for offline tests.
+ *
+ * Serves sources, sessions and activities from memory with the same paths,
+ * pagination (pageSize / nextPageToken) and error shape as the real API.
+ * Each new session plays a scripted scenario:
+ *   - on create:      planGenerated (followed by the run when no plan approval is required)
+ *   - on approvePlan: planApproved, progressUpdated ... and the scenario's ending
+ *   - on sendMessage: userMessaged + an agentMessaged reply
+ * Scripted activities are queued, not visible right away: tests release them
+ * one at a time with advance(), or set stepDelayMs to release them on a timer.
+ * Unknown or deleted sessions answer 404. pause() holds every request (or those
+ * whose path ends with pathSuffix) until resume(), to stand in for a slow API.
+ */
+
+const DEFAULT_SOURCES = [
+    { name: 'sources/github/octo/chat-app', id: 'github/octo/chat-app', githubRepo: { owner: 'octo', repo: 'chat-app', name: 'chat-app' } },
+    { name: 'sources/github/octo/website', id: 'github/octo/website', githubRepo: { owner: 'octo', repo: 'website', name: 'website' } }
+];
+
+const PATCH = [
+    'diff --git a/src/app.js b/src/app.js',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1,2 +1,2 @@',
+    '-const greeting = "helo";',
+    '+const greeting = "hello";',
+    ' module.exports = greeting;',
+    ''
+].join('\n');
+
+// Activity bodies (without name/id) played after the plan is approved.
+const SCENARIOS = {
+    success: (session) => [
+        { planApproved: { planId: 'plan-1' } },
+        { progressUpdated: { title: 'Reading the code', description: 'Looking at src/app.js' } },
+        { progressUpdated: { title: 'Fixing the typo' }, artifacts: [{ changeSet: { source: session.sourceContext.source, gitPatch: { unidiffPatch: PATCH, suggestedCommitMessage: 'Fix greeting typo' } } }] },
+        { outputs: [{ pullRequest: { url: `https://github.com/octo/chat-app/pull/${session.id}`, title: 'Fix greeting typo', description: 'Fixes the typo.' } }] },
+        { sessionCompleted: {} }
+    ],
+    failure: () => [
+        { planApproved: { planId: 'plan-1' } },
+        { progressUpdated: { title: 'Running tests' }, artifacts: [{ bashOutput: { command: 'npm test', output: 'Error: 1 test failed', exitCode: 1 } }] },
+        { sessionFailed: { reason: 'Tests kept failing after 3 attempts.' } }
+    ]
+};
+
+const PLAN = {
+    id: 'plan-1',
+    steps: [
+        { title: 'Find the typo', description: 'Search the source for the misspelled greeting.' },
+        { title: 'Fix it', description: 'Correct the spelling in src/app.js.' }
+    ]
+};
+
+class FakeJulesServer {
+    constructor({ apiKey = 'test-jules-key', sources = DEFAULT_SOURCES, maxPageSize = 50, stepDelayMs = null } = {}) {
+        this.apiKey = apiKey;
+        this.sources = sources;
+        this.maxPageSize = maxPageSize;
+        this.stepDelayMs = stepDelayMs;
+        this.sessions = new Map(); // "sessions/<id>" -> session
+        this.activities = new Map(); // "sessions/<id>" -> visible activity[]
+        this.pending = new Map(); // "sessions/<id>" -> queued { body, originator }[]
+        this.timers = new Set();
+        this.requests = []; // { method, path, body } of every call, for assertions
+        this.held = null; // continuations of requests held by pause()
+        this.heldPath = null;
+        this.nextScenario = 'success';
+        this.nextId = 1;
+        this.server = null;
+        this.app = this.createApp();
+    }
+
+    get baseUrl() {
+        return `http://127.0.0.1:${this.server.address().port}/v1alpha`;
+    }
+
+    listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, '127.0.0.1', () => resolve(this.baseUrl));
+            this.server.once('error', reject);
+        });
+    }
+
+    close() {
+        this.resume();
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    pause(pathSuffix = null) {
+        this.held = this.held || [];
+        this.heldPath = pathSuffix;
+    }
+
+    resume() {
+        const held = this.held || [];
+        this.held = null;
+        held.forEach(next => next());
+    }
+
+    // Number of requests waiting for resume()
+    get heldCount() {
+        return this.held ? this.held.length : 0;
+    }
+
+    // Scenario used by the next created session ("success" or "failure")
+    useScenario(name) {
+        if (!SCENARIOS[name]) throw new Error(`Unknown scenario: ${name}`);
+        this.nextScenario = name;
+    }
+
+    // Makes an activity visible right away and updates the session state to match.
+    addActivity(sessionName, body, originator = 'agent') {
+        const session = this.sessions.get(sessionName);
+        const list = this.activities.get(sessionName);
+        const id = `act-${list.length + 1}`;
+        const activity = { name: `${sessionName}/activities/${id}`, id, originator, createTime: new Date().toISOString(), ...body };
+        list.push(activity);
+
+        if (body.planGenerated) {
+            session.state = session.requirePlanApproval ? 'AWAITING_PLAN_APPROVAL' : 'IN_PROGRESS';
+        } else if (body.planApproved || body.progressUpdated) {
+            session.state = 'IN_PROGRESS';
+        } else if (body.outputs) {
+            session.outputs = body.outputs;
+        } else if (body.sessionCompleted) {
+            session.state = 'COMPLETED';
+        } else if (body.sessionFailed) {
+            session.state = 'FAILED';
+        }
+        session.updateTime = activity.createTime;
+        return activity;
+    }
+
+    queue(sessionName, body, originator = 'agent') {
+        this.pending.get(sessionName).push({ body, originator });
+        if (this.stepDelayMs !== null) this.scheduleRelease(sessionName);
+    }
+
+    scheduleRelease(sessionName) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            if (this.sessions.has(sessionName)) this.advance(sessionName);
+        }, this.stepDelayMs * this.pending.get(sessionName).length);
+        this.timers.add(timer);
+    }
+
+    // Releases the next `count` queued activities of a session; returns them.
+    advance(sessionName, count = 1) {
+        const queued = this.pending.get(sessionName) || [];
+        return queued.splice(0, count).map(({ body, originator }) => this.addActivity(sessionName, body, originator));
+    }
+
+    pendingCount(sessionName) {
+        return (this.pending.get(sessionName) || []).length;
+    }
+
+    // Makes every later call for the session answer 404
+    deleteSession(sessionName) {
+        this.sessions.delete(sessionName);
+        this.activities.delete(sessionName);
+        this.pending.delete(sessionName);
+    }
+
+    callsTo(method, pathSuffix) {
+        return this.requests.filter(r => r.method === method && r.path.endsWith(pathSuffix));
+    }
+
+    // Also used by tests to seed sessions the bot did not create
+    createSession({ prompt, sourceContext, requirePlanApproval, automationMode }) {
+        const id = String(this.nextId++);
+        const session = {
+            name: `sessions/${id}`,
+            id,
+            title: prompt.split('\n')[0].slice(0, 60),
+            prompt,
+            sourceContext,
+            automationMode,
+            requirePlanApproval: Boolean(requirePlanApproval),
+            state: 'QUEUED',
+            url: `https://jules.google.com/session/${id}`,
+            scenario: this.nextScenario,
+            createTime: new Date().toISOString()
+        };
+        this.sessions.set(session.name, session);
+        this.activities.set(session.name, []);
+        this.pending.set(session.name, []);
+        this.queue(session.name, { planGenerated: { plan: PLAN } });
+        if (!session.requirePlanApproval) this.queueRun(session);
+        return session;
+    }
+
+    queueRun(session) {
+        for (const step of SCENARIOS[session.scenario](session)) {
+            this.queue(session.name, step, step.planApproved ? 'user' : 'agent');
+        }
+    }
+
+    createApp() {
+        const app = express();
+        app.use(express.json());
+
+        app.use((req, res, next) => {
+            this.requests.push({ method: req.method, path: req.path, body: req.body });
+            if (req.get('X-Goog-Api-Key') !== this.apiKey) {
+                return sendError(res, 401, 'UNAUTHENTICATED', 'API key not valid.');
+            }
+            if (this.held && (!this.heldPath || req.path.endsWith(this.heldPath))) return this.held.push(next);
+            next();
+        });
+
+        app.get('/v1alpha/sources', (req, res) => {
+            res.json(this.page(this.sources, req.query, 'sources'));
+        });
+
+        app.get('/v1alpha/sessions', (req, res) => {
+            res.json(this.page([...this.sessions.values()].map(publicSession), req.query, 'sessions'));
+        });
+
+        app.post('/v1alpha/sessions', (req, res) => {
+            const { prompt, sourceContext } = req.body || {};
+            if (!prompt || !sourceContext || !this.sources.some(s => s.name === sourceContext.source)) {
+                return sendError(res, 400, 'INVALID_ARGUMENT', 'prompt and a known sourceContext.source are required.');
+            }
+            res.json(publicSession(this.createSession(req.body)));
+        });
+
+        // Express treats ":" specially, so custom methods are matched by hand
+        app.post(/^\/v1alpha\/sessions\/([^/:]+):(approvePlan|sendMessage)$/, (req, res) => {
+            const session = this.sessions.get(`sessions/${req.params[0]}`);
+            if (!session) return sendError(res, 404, 'NOT_FOUND', 'Requested entity was not found.');
+
+            if (req.params[1] === 'approvePlan') {
+                if (session.state !== 'AWAITING_PLAN_APPROVAL') {
+                    return sendError(res, 400, 'FAILED_PRECONDITION', 'Session is not awaiting plan approval.');
+                }
+                session.state = 'IN_PROGRESS';
+                this.queueRun(session);
+            } else {
+                const prompt = (req.body && req.body.prompt) || '';
+                this.addActivity(session.name, { userMessaged: { userMessage: prompt } }, 'user');
+                this.queue(session.name, { agentMessaged: { agentMessage: `Got it: ${prompt}` } });
+            }
+            res.json({});
+        });
+
+        app.get('/v1alpha/sessions/:id/activities', (req, res) => {
+            const list = this.activities.get(`sessions/${req.params.id}`);
+            if (!list) return sendError(res, 404, 'NOT_FOUND', 'Requested entity was not found.');
+            res.json(this.page(list, req.query, 'activities'));
+        });
+
+        app.get('/v1alpha/sessions/:id', (req, res) => {
+            const session = this.sessions.get(`sessions/${req.params.id}`);
+            if (!session) return sendError(res, 404, 'NOT_FOUND', 'Requested entity was not found.');
+            res.json(publicSession(session));
+        });
+
+        app.use((req, res) => sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${req.path}`));
+        return app;
+    }
+
+    // Page tokens are plain offsets
+    page(items, query, key) {
+        const size = Math.min(parseInt(query.pageSize || this.maxPageSize, 10), this.maxPageSize);
+        const offset = parseInt(query.pageToken || '0', 10);
+        const body = { [key]: items.slice(offset, offset + size) };
+        if (offset + size < items.length) body.nextPageToken = String(offset + size);
+        return body;
+    }
+}
+
+function publicSession(session) {
+    const { scenario, ...rest } = session;
+    return rest;
+}
+
+function sendError(res, code, status, message) {
+    res.status(code).json({ error: { code, message, status } });
+}
+
+module.exports = { FakeJulesServer, DEFAULT_SOURCES };
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { FakeJulesServer } = require('./fake_jules_server');
+const { FakeDiscordApi } = require('./fake_discord_api');
+const { InteractionSigner, postInteraction, FakeChannel, FakeMessage, waitFor } = require('./fake_discord');
+
+const BOT_USER_ID = '9000';
+
+/**
+ * Boots server.js against the fakes: a fake Jules API, a fake Discord REST API
+ * for interaction follow-ups, signed interactions and fake gateway messages, with stores in a temp directory and the local LLM
+ * provider. server.js keeps module-level state, so call this once per test file
+ * (node --test runs every file in its own process).
+ */
+async function startHarness({ env = {}, jules = {} } = {}) {
+    const fakeJules = new FakeJulesServer(jules);
+    const julesBaseUrl = await fakeJules.listen();
+    const discordApi = new FakeDiscordApi();
+    const discordApiBaseUrl = await discordApi.listen();
+    const signer = new InteractionSigner();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jules-bot-test-'));
+
+    // Set explicitly so values from a developer's .env never leak in
+    Object.assign(process.env, {
+        DISCORD_TOKEN: '',
+        DISCORD_PUBLIC_KEY: signer.publicKey,
+        JULES_API_KEY: fakeJules.apiKey,
+        JULES_API_BASE_URL: julesBaseUrl,
+        JULES_MAX_RETRIES: '0',
+        DISCORD_API_BASE_URL: discordApiBaseUrl,
+        LLM_PROVIDER: 'local',
+        GEMINI_API_KEY: '',
+        PERMISSIONS_CONFIG: '',
+        PERMISSIONS_FILE: '',
+        PERSONAS_FILE: '',
+        TEMPLATES_FILE: '',
+        DEFAULT_PERSONA: 'en-friendly',
+        SESSION_STORE_MODULE: '',
+        SESSION_STORE_PATH: path.join(dataDir, 'sessions.json'),
+        SETTINGS_STORE_PATH: path.join(dataDir, 'settings.json'),
+        HISTORY_STORE_PATH: path.join(dataDir, 'history.json'),
+        SESSION_QUEUE_PATH: path.join(dataDir, 'queue.json'),
+        MAX_SESSIONS_PER_GUILD: '0',
+        MAX_SESSIONS_PER_USER: '0',
+        POLL_MIN_INTERVAL_MS: '20',
+        POLL_MAX_INTERVAL_MS: '100',
+        PROJECT_ID: '',
+        SERVICE_NAME: '',
+        REGION: '',
+        LOG_LEVEL: 'error',
+        ...env
+    });
+
+    const bot = require('../../server');
+    // Not logged in to a gateway; messageCreate only needs the bot's user ID
+    bot.client.user = { id: BOT_USER_ID, tag: 'jules-bot#0000' };
+
+    const server = await bot.start(0);
+    if (!server.listening) await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        bot,
+        fakeJules,
+        discordApi,
+        signer,
+        baseUrl,
+
+        // Posts an interaction. Deferred answers (type 5/6) are resolved to what the
+        // user ends up seeing, as if Discord had answered directly: the edited
+        // original (type 4 keeping the deferral's flags, or 7 for components) or
+        // the ephemeral follow-up. `deferred` holds the immediate answer.
+        async interact(interaction) {
+            const response = await postInteraction(baseUrl, signer, interaction);
+            const deferredType = response.body && response.body.type;
+            if (deferredType !== 5 && deferredType !== 6) return response;
+
+            const recorded = await discordApi.waitFor(interaction.token, r => r.original || r.followUps.length > 0);
+            if (!recorded.original) {
+                const [followUp] = recorded.followUps;
+                return { status: response.status, deferred: response.body, body: { type: 4, data: followUp.data }, files: followUp.files };
+            }
+            const flags = response.body.data && response.body.data.flags;
+            return {
+                status: response.status,
+                deferred: response.body,
+                body: { type: deferredType === 5 ? 4 : 7, data: { ...recorded.original.data, ...(flags ? { flags } : {}) } },
+                files: recorded.original.files
+            };
+        },
+
+        // Emits a gateway message that mentions the bot; returns the FakeMessage.
+        mention(channel, content, options = {}) {
+            const message = new FakeMessage({
+                content: `<@${BOT_USER_ID}> ${content}`,
+                channel,
+                ...options,
+                mentions: [BOT_USER_ID, ...(options.mentions || [])]
+            });
+            bot.client.emit('messageCreate', message);
+            return message;
+        },
+
+        // Resolves with the session record once a session is bound to the channel and
+        // its watcher runs: queued activities then count as new, and no monitor is
+        // still starting when the harness closes.
+        async startedSession(channel) {
+            const record = await waitFor(() => bot.sessionStore.get(channel.id), { message: `session in ${channel.id}` });
+            await waitFor(() => bot.activityPoller.isWatching(record.sessionId), { message: `watcher for ${channel.id}` });
+            return record;
+        },
+
+        async close() {
+            bot.activityPoller.stopAll();
+            await new Promise(resolve => server.close(() => resolve()));
+            await fakeJules.close();
+            await discordApi.close();
+            await bot.client.destroy();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { startHarness, FakeChannel, FakeMessage, BOT_USER_ID };
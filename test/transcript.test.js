@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMarkdownTranscript, buildJsonTranscript } = require('../transcript');
+
+const EXPORTED_AT = new Date('2026-10-19T08:00:00Z');
+
+const session = {
+    name: 'sessions/7',
+    title: 'Fix the greeting',
+    prompt: 'Fix the greeting\nin chat-app',
+    sourceContext: { source: 'sources/github/octo/chat-app' },
+    state: 'COMPLETED',
+    createTime: '2026-10-19T07:00:00Z',
+    url: 'https://jules.google.com/session/7',
+    outputs: [{ pullRequest: { url: 'https://github.com/octo/chat-app/pull/3', title: 'Fix greeting' } }]
+};
+
+const activities = [
+    { id: 'a1', createTime: '2026-10-19T07:01:00Z', planGenerated: { plan: { steps: [{ title: 'Edit', description: 'Fix the typo' }, { title: 'Test' }] } } },
+    { id: 'a2', userMessaged: { userMessage: 'Looks good\nthanks' } },
+    {
+        id: 'a3',
+        progressUpdated: { title: 'Running tests' },
+        artifacts: [{ bashOutput: { command: 'npm test', output: 'uses ``` inside', exitCode: 0 } }]
+    },
+    {
+        id: 'a4',
+        artifacts: [{
+            changeSet: {
+                gitPatch: {
+                    unidiffPatch: 'diff --git a/src/app.js b/src/app.js\n--- a/src/app.js\n+++ b/src/app.js\n@@ -1 +1 @@\n-helo\n+hello\n',
+                    suggestedCommitMessage: 'Fix greeting typo'
+                }
+            }
+        }]
+    },
+    { id: 'a5', sessionFailed: { reason: 'Out of time' } }
+];
+
+test('the Markdown transcript has the session header and every activity', () => {
+    const markdown = buildMarkdownTranscript(session, activities, EXPORTED_AT);
+    const sections = markdown.split('\n\n');
+
+    assert.equal(sections[0], '# Fix the greeting');
+    assert.equal(sections[1], [
+        '- Session: `sessions/7`',
+        '- Source: `sources/github/octo/chat-app`',
+        '- State: COMPLETED',
+        '- Created: 2026-10-19T07:00:00Z',
+        '- Pull request: https://github.com/octo/chat-app/pull/3',
+        '- Jules: https://jules.google.com/session/7',
+        '- Exported: 2026-10-19T08:00:00.000Z'
+    ].join('\n'));
+    assert.match(markdown, /## Prompt\n\n> Fix the greeting\n> in chat-app\n\n## Activities \(5\)/);
+    assert.match(markdown, /### 2026-10-19T07:01:00Z · Plan\n\n1\. \*\*Edit\*\* — Fix the typo\n2\. \*\*Test\*\*/);
+    assert.match(markdown, /### User\n\n> Looks good\n> thanks/);
+    // The fence is longer than the backticks in the output
+    assert.match(markdown, /\*\*Command\*\* \(exit code 0\)\n\n```sh\nnpm test\n```\n\n````text\nuses ``` inside\n````/);
+    assert.match(markdown, /\*\*Code changes\*\*: 1 files, \+1 -1\n\n> Fix greeting typo\n\n- modified `src\/app\.js` \+1 -1\n\n```diff\n/);
+    assert.match(markdown, /### Session failed\n\nOut of time\n$/);
+});
+
+test('the JSON transcript keeps the session and activities as returned by Jules', () => {
+    const json = JSON.parse(buildJsonTranscript(session, activities, EXPORTED_AT));
+    assert.deepEqual(json, { exportedAt: '2026-10-19T08:00:00.000Z', session, activities });
+
+    const untitled = buildMarkdownTranscript({ name: 'sessions/8' }, [], EXPORTED_AT);
+    assert.match(untitled, /^# sessions\/8\n\n- Session: `sessions\/8`\n- Source: `-`\n- State: UNKNOWN\n/);
+    assert.match(untitled, /## Prompt\n\n\*\(not available\)\*\n\n## Activities \(0\)\n$/);
+});
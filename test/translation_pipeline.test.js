@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TranslationPipeline, LruCache, protectSegments, restoreSegments } = require('../translation_pipeline');
+
+test('code, URLs and paths are masked, prose with slashes is not', () => {
+    const text = [
+        'Run `npm test` and/or check ./scripts/build.sh, /usr/bin/node or ~/config first',
+        'Either/or, src/app.js fails: see https://example.com/logs?id=1',
+        '```',
+        'const a = 1;',
+        '```'
+    ].join('\n');
+    const { masked, segments } = protectSegments(text);
+
+    assert.deepEqual(segments, [
+        '```\nconst a = 1;\n```',
+        '`npm test`',
+        'https://example.com/logs?id=1',
+        './scripts/build.sh',
+        '/usr/bin/node',
+        '~/config',
+        'src/app.js'
+    ]);
+    assert.equal(masked, [
+        'Run [[KEEP_1]] and/or check [[KEEP_3]], [[KEEP_4]] or [[KEEP_5]] first',
+        'Either/or, [[KEEP_6]] fails: see [[KEEP_2]]',
+        '[[KEEP_0]]'
+    ].join('\n'));
+    assert.equal(restoreSegments(masked, segments), text);
+});
+
+test('placeholders the model dropped are appended instead of lost', () => {
+    const { masked, segments } = protectSegments('Open `a.js` and `b.js` please');
+    assert.equal(masked, 'Open [[KEEP_0]] and [[KEEP_1]] please');
+    assert.equal(restoreSegments('[[KEEP_0]] を開いてね', segments), '`a.js` を開いてね\n`b.js`');
+});
+
+test('translate() sends only masked prose to the model and caches the result', async () => {
+    const pipeline = new TranslationPipeline();
+    const calls = [];
+    const model = async (masked) => {
+        calls.push(masked);
+        return masked.replace('Fix', '直して').replace('please', 'ください');
+    };
+
+    const text = 'Fix `src/app.js` please';
+    assert.equal(await pipeline.translate(text, 'to-ja', model), '直して `src/app.js` ください');
+    assert.equal(await pipeline.translate(text, 'to-ja', model), '直して `src/app.js` ください');
+    assert.deepEqual(calls, ['Fix [[KEEP_0]] please']);
+
+    // Nothing but code: the model is not asked
+    assert.equal(await pipeline.translate('`npm test`\n/usr/bin/node', 'to-ja', model), '`npm test`\n/usr/bin/node');
+    assert.equal(calls.length, 1);
+
+    // A failed model call returns the original and is not cached
+    assert.equal(await pipeline.translate('Hello there', 'to-ja', async () => null), 'Hello there');
+    assert.equal(await pipeline.translate('Hello there', 'to-ja', async () => 'こんにちは'), 'こんにちは');
+});
+
+test('the LRU cache drops the least recently used entry', () => {
+    const cache = new LruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.size, 2);
+});
@@ -0,0 +1,179 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, FakeChannel } = require('./support/harness');
+const { interactions, waitFor } = require('./support/fake_discord');
+const { signPayload } = require('../webhooks');
+
+const GITHUB_SECRET = 'github-secret';
+const JULES_SECRET = 'jules-secret';
+const PR_URL = 'https://github.com/octo/chat-app/pull/7';
+
+let h;
+const channels = new Map();
+
+before(async () => {
+    h = await startHarness({ env: { GITHUB_WEBHOOK_SECRET: GITHUB_SECRET, JULES_WEBHOOK_SECRET: JULES_SECRET } });
+});
+
+after(async () => {
+    await h.close();
+});
+
+// Follow-ups are posted through the gateway client; serve fake channels instead.
+beforeEach((t) => {
+    t.mock.method(h.bot.client, 'isReady', () => true);
+    t.mock.method(h.bot.client.channels, 'fetch', async (id) => channels.get(id) || null);
+});
+
+function channelFor(id) {
+    const channel = new FakeChannel({ id });
+    channels.set(id, channel);
+    return channel;
+}
+
+// A Jules session bound to a channel, with the PR from its outputs recorded
+async function boundSession(channel) {
+    const session = h.fakeJules.createSession({
+        prompt: 'Fix the greeting typo',
+        sourceContext: { source: 'sources/github/octo/chat-app' },
+        requirePlanApproval: false
+    });
+    await h.bot.sessionStore.set(channel.id, {
+        sessionId: session.name,
+        source: 'sources/github/octo/chat-app',
+        pullRequestUrl: PR_URL,
+        completed: true
+    });
+    return session;
+}
+
+async function postWebhook(path, signatureHeader, secret, payload, headers = {}) {
+    const rawBody = JSON.stringify(payload);
+    const response = await fetch(`${h.baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [signatureHeader]: signPayload(secret, rawBody), ...headers },
+        body: rawBody
+    });
+    return response.status;
+}
+
+function githubEvent(eventName, payload) {
+    return postWebhook('/webhooks/github', 'X-Hub-Signature-256', GITHUB_SECRET, payload, { 'X-GitHub-Event': eventName });
+}
+
+test('rejects webhooks with a missing or wrong signature', async () => {
+    const unsigned = await fetch(`${h.baseUrl}/webhooks/github`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-GitHub-Event': 'ping' },
+        body: '{}'
+    });
+    assert.equal(unsigned.status, 401);
+
+    assert.equal(await postWebhook('/webhooks/github', 'X-Hub-Signature-256', 'wrong', {}, { 'X-GitHub-Event': 'ping' }), 401);
+    assert.equal(await postWebhook('/webhooks/jules', 'X-Jules-Signature-256', GITHUB_SECRET, {}), 401);
+    assert.equal(await githubEvent('ping', { zen: 'Keep it logically awesome.' }), 202);
+});
+
+test('a merged PR is reported to the session channel', async () => {
+    const channel = channelFor('webhook-merged');
+    await boundSession(channel);
+
+    // GitHub's casing differs from the URL Jules reported
+    const status = await githubEvent('pull_request', {
+        action: 'closed',
+        pull_request: { html_url: 'https://github.com/Octo/chat-app/pull/7', title: 'Fix greeting typo', merged: true }
+    });
+    assert.equal(status, 202);
+
+    const followUp = await waitFor(() => channel.sent[0], { message: 'merged follow-up' });
+    assert.match(followUp.content, /merged/);
+    assert.match(followUp.content, /pull\/7/);
+    await h.bot.sessionStore.delete(channel.id);
+});
+
+test('a review on the PR is quoted in the channel', async () => {
+    const channel = channelFor('webhook-review');
+    await boundSession(channel);
+
+    await githubEvent('pull_request_review', {
+        action: 'submitted',
+        pull_request: { html_url: PR_URL },
+        review: { user: { login: 'reviewer' }, state: 'changes_requested', html_url: `${PR_URL}#pullrequestreview-1`, body: 'Please add a test.' }
+    });
+
+    const followUp = await waitFor(() => channel.sent[0], { message: 'review follow-up' });
+    assert.match(followUp.content, /reviewer posted a review \(changes requested\)/);
+    assert.match(followUp.content, /> Please add a test\./);
+    await h.bot.sessionStore.delete(channel.id);
+});
+
+test('a failed check run offers to send the failure back to Jules', async () => {
+    const channel = channelFor('webhook-ci');
+    const session = await boundSession(channel);
+
+    await githubEvent('check_run', {
+        action: 'completed',
+        repository: { full_name: 'octo/chat-app' },
+        check_run: {
+            name: 'unit-tests',
+            conclusion: 'failure',
+            details_url: 'https://github.com/octo/chat-app/actions/runs/1',
+            output: { title: '1 test failed', summary: 'greeting.test.js: expected "hello"' },
+            pull_requests: [{ number: 7 }]
+        }
+    });
+
+    const alert = await waitFor(() => channel.sent[0], { message: 'CI failure message' });
+    assert.match(alert.content, /CI failed on your pull request \(unit-tests\)/);
+    assert.equal(alert.embeds[0].title, '🚨 unit-tests');
+    assert.equal(alert.components[0].components[0].custom_id, `ci_retry:${session.name}`);
+
+    const { body } = await h.interact(interactions.button(`ci_retry:${session.name}`, alert.toInteractionMessage(), { channelId: channel.id }));
+    assert.equal(body.type, 7);
+    assert.match(body.data.content, /Sent the CI failure to Jules/);
+    assert.deepEqual(body.data.components, []);
+
+    const [sent] = h.fakeJules.callsTo('POST', `${session.name}:sendMessage`);
+    assert.match(sent.body.prompt, /The CI check "unit-tests" failed \(failure\) on the pull request https:\/\/github\.com\/octo\/chat-app\/pull\/7/);
+    assert.match(sent.body.prompt, /expected "hello"/);
+    assert.equal((await h.bot.sessionStore.get(channel.id)).completed, false);
+
+    h.bot.activityPoller.stop(session.name);
+    await h.bot.sessionStore.delete(channel.id);
+});
+
+test('events for unknown PRs and non-failing checks are ignored', async () => {
+    const channel = channelFor('webhook-ignored');
+    await boundSession(channel);
+
+    await githubEvent('pull_request', { action: 'opened', pull_request: { html_url: 'https://github.com/octo/other/pull/1' } });
+    await githubEvent('check_run', {
+        action: 'completed',
+        repository: { full_name: 'octo/chat-app' },
+        check_run: { name: 'lint', conclusion: 'success', pull_requests: [{ number: 7 }] }
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(channel.sent.length, 0);
+    await h.bot.sessionStore.delete(channel.id);
+});
+
+test('activities pushed to /webhooks/jules are posted once', async () => {
+    const channel = channelFor('webhook-jules');
+    const session = await boundSession(channel);
+    await h.bot.sessionStore.update(channel.id, { completed: false });
+
+    const payload = {
+        session: session.name,
+        activities: [{ name: `${session.name}/activities/push-1`, id: 'push-1', originator: 'agent', agentMessaged: { agentMessage: 'Pushed hello' } }]
+    };
+    assert.equal(await postWebhook('/webhooks/jules', 'X-Jules-Signature-256', JULES_SECRET, payload), 202);
+    await waitFor(() => channel.sent.find(m => m.content === 'Pushed hello'), { message: 'pushed activity' });
+
+    await postWebhook('/webhooks/jules', 'X-Jules-Signature-256', JULES_SECRET, payload);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(channel.sent.filter(m => m.content === 'Pushed hello').length, 1);
+    assert.ok((await h.bot.sessionStore.get(channel.id)).seenIds.includes('push-1'));
+
+    h.bot.activityPoller.stop(session.name);
+});
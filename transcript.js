@@ -0,0 +1,109 @@
+const { parseUnifiedDiff, summarizeDiff } = require('./diff_summary');
+const { fence } = require('./markdown');
+
+/**
+ * Session transcripts for /jules export.
+ *
+ * Markdown is meant for people (write-ups, audits); JSON keeps the session and
+ * every activity exactly as the Jules API returned them, for tooling.
+ */
+
+function quote(text) {
+    return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function renderArtifact(artifact) {
+    const parts = [];
+    if (artifact.bashOutput) {
+        const { command = '', output = '', exitCode } = artifact.bashOutput;
+        parts.push(`**Command**${exitCode !== undefined ? ` (exit code ${exitCode})` : ''}`);
+        parts.push(fence(command, 'sh'));
+        if (output) parts.push(fence(output, 'text'));
+    }
+    if (artifact.changeSet && artifact.changeSet.gitPatch) {
+        const gitPatch = artifact.changeSet.gitPatch;
+        const files = parseUnifiedDiff(gitPatch.unidiffPatch || '');
+        const totals = summarizeDiff(files);
+        parts.push(`**Code changes**: ${totals.files} files, +${totals.additions} -${totals.deletions}`);
+        if (gitPatch.suggestedCommitMessage) parts.push(quote(gitPatch.suggestedCommitMessage));
+        if (files.length > 0) {
+            parts.push(files.map(f => `- ${f.status} \`${f.path}\`${f.binary ? ' (binary)' : ` +${f.additions} -${f.deletions}`}`).join('\n'));
+        }
+        if (gitPatch.unidiffPatch) parts.push(fence(gitPatch.unidiffPatch, 'diff'));
+    }
+    if (artifact.media) {
+        parts.push(`*(media: ${artifact.media.mimeType || 'unknown type'}, not included)*`);
+    }
+    return parts;
+}
+
+function renderActivity(activity) {
+    let heading = 'Activity';
+    const body = [];
+
+    if (activity.planGenerated && activity.planGenerated.plan) {
+        heading = 'Plan';
+        const steps = activity.planGenerated.plan.steps || [];
+        body.push(steps.map((step, i) => `${i + 1}. **${step.title || 'Step'}**${step.description ? ` — ${step.description}` : ''}`).join('\n'));
+    } else if (activity.planApproved) {
+        heading = 'Plan approved';
+    } else if (activity.progressUpdated) {
+        heading = `Progress: ${activity.progressUpdated.title || 'update'}`;
+        const { title, description } = activity.progressUpdated;
+        if (description && description !== title) body.push(description);
+    } else if (activity.agentMessaged) {
+        heading = 'Jules';
+        body.push(activity.agentMessaged.agentMessage || '');
+    } else if (activity.userMessaged) {
+        heading = 'User';
+        body.push(quote(activity.userMessaged.userMessage || ''));
+    } else if (activity.outputs) {
+        heading = 'Outputs';
+        for (const output of activity.outputs) {
+            if (!output.pullRequest) continue;
+            const pr = output.pullRequest;
+            body.push(`Pull request: [${pr.title || pr.url}](${pr.url})`);
+            if (pr.description) body.push(pr.description);
+        }
+    } else if (activity.sessionCompleted) {
+        heading = 'Session completed';
+    } else if (activity.sessionFailed) {
+        heading = 'Session failed';
+        if (activity.sessionFailed.reason) body.push(activity.sessionFailed.reason);
+    }
+
+    for (const artifact of activity.artifacts || []) {
+        body.push(...renderArtifact(artifact));
+    }
+
+    const when = activity.createTime ? `${activity.createTime} · ` : '';
+    return [`### ${when}${heading}`, ...body.filter(Boolean)].join('\n\n');
+}
+
+function buildMarkdownTranscript(session, activities, exportedAt = new Date()) {
+    const source = session.sourceContext ? session.sourceContext.source : '-';
+    const pr = (session.outputs || []).find(o => o.pullRequest);
+    const header = [
+        `# ${session.title || session.name}`,
+        [
+            `- Session: \`${session.name}\``,
+            `- Source: \`${source}\``,
+            `- State: ${session.state || 'UNKNOWN'}`,
+            session.createTime ? `- Created: ${session.createTime}` : null,
+            session.updateTime ? `- Updated: ${session.updateTime}` : null,
+            pr ? `- Pull request: ${pr.pullRequest.url}` : null,
+            session.url ? `- Jules: ${session.url}` : null,
+            `- Exported: ${exportedAt.toISOString()}`
+        ].filter(Boolean).join('\n'),
+        '## Prompt',
+        session.prompt ? quote(session.prompt) : '*(not available)*',
+        `## Activities (${activities.length})`
+    ];
+    return `${[...header, ...activities.map(renderActivity)].join('\n\n')}\n`;
+}
+
+function buildJsonTranscript(session, activities, exportedAt = new Date()) {
+    return `${JSON.stringify({ exportedAt: exportedAt.toISOString(), session, activities }, null, 2)}\n`;
+}
+
+module.exports = { buildMarkdownTranscript, buildJsonTranscript };
@@ -0,0 +1,125 @@
+/**
+ * Code-aware translation pipeline.
+ *
+ * Before text goes to the model, fenced code, inline code, stack-trace lines,
+ * URLs and file paths are swapped for [[KEEP_n]] placeholders so only prose is
+ * translated; afterwards the originals are put back byte for byte. Text with no
+ * prose left (e.g. a bare log) never reaches the model. Results are kept in an
+ * LRU cache keyed by direction/persona and input text.
+ */
+
+const PLACEHOLDER_PATTERN = /\[\[KEEP_(\d+)\]\]/g;
+
+// Prompt text for models that receive masked text
+const PLACEHOLDER_INSTRUCTION = "Keep placeholder tokens such as [[KEEP_0]] exactly as they are; they stand for code, URLs and file paths.";
+
+const PROTECTED_PATTERNS = [
+    /```[\s\S]*?```/g,                                            // fenced code blocks
+    /`[^`\n]+`/g,                                                 // inline code
+    /^[ \t]*at .+(?:\(.+:\d+:\d+\)|:\d+:\d+)[ \t]*$/gm,           // JS stack frames
+    /^[ \t]*File ".+", line \d+.*$/gm,                            // Python stack frames
+    /^Traceback \(most recent call last\):$/gm,
+    /\bhttps?:\/\/[^\s<>()]+/g,                                   // URLs
+    // Paths: rooted at /, ./, ../ or ~/, or relative with a file extension. Prose such
+    // as "and/or" has neither.
+    /(?<![\w.@-])(?:~|\.{1,2})?(?:\/[\w.@-]+)+\/?|\b(?:[\w.@-]+\/)+[\w.@-]*\.\w+/g,
+    /\b[\w-]+\.(?:js|jsx|ts|tsx|json|md|py|rb|go|rs|java|kt|c|h|cpp|cs|php|sh|yml|yaml|toml|lock|css|scss|html|sql|txt|log|diff)\b/g
+];
+
+class LruCache {
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) return undefined;
+        const value = this.entries.get(key);
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+function protectSegments(text) {
+    const segments = [];
+    let masked = text;
+    for (const pattern of PROTECTED_PATTERNS) {
+        masked = masked.replace(pattern, (match) => {
+            segments.push(match);
+            return `[[KEEP_${segments.length - 1}]]`;
+        });
+    }
+    return { masked, segments };
+}
+
+// Puts every protected segment back. A segment can itself contain placeholders
+// (e.g. a URL running into inline code), so segments are expanded recursively.
+// Placeholders the model dropped are appended at the end so nothing is lost.
+function restoreSegments(translated, segments) {
+    const used = new Set();
+    const expand = (text) => text.replace(PLACEHOLDER_PATTERN, (match, index) => {
+        const i = Number(index);
+        if (segments[i] === undefined || used.has(i)) return match;
+        used.add(i);
+        return expand(segments[i]);
+    });
+
+    let restored = expand(translated);
+    const missing = segments.map((_, i) => i).filter(i => !used.has(i));
+    if (missing.length > 0) {
+        restored += `\n${missing.map(i => expand(segments[i])).join('\n')}`;
+    }
+    return restored;
+}
+
+function hasProse(masked) {
+    const remaining = masked.replace(PLACEHOLDER_PATTERN, '');
+    return /\p{L}{2,}/u.test(remaining);
+}
+
+class TranslationPipeline {
+    constructor({ cacheSize = 500 } = {}) {
+        this.cache = new LruCache(cacheSize);
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} cacheKey identifies the direction/persona, e.g. "to-en:ja-timid-boy"
+     * @param {(masked: string) => Promise<string|null>} translateProse model call for the masked
+     *        text; null means it could not translate, so the original is returned and not cached
+     */
+    async translate(text, cacheKey, translateProse) {
+        if (!text) return text;
+
+        const key = `${cacheKey}\u0000${text}`;
+        const cached = this.cache.get(key);
+        if (cached !== undefined) return cached;
+
+        const { masked, segments } = protectSegments(text);
+        if (!hasProse(masked)) {
+            return text; // code, logs and links only: nothing to translate
+        }
+
+        const translated = await translateProse(masked);
+        if (translated === null) return text;
+        const result = restoreSegments(translated, segments);
+        this.cache.set(key, result);
+        return result;
+    }
+}
+
+module.exports = { TranslationPipeline, LruCache, PLACEHOLDER_INSTRUCTION, protectSegments, restoreSegments, hasProse };
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+/**
+ * Inbound webhooks.
+ *
+ * Both endpoints are signed the way GitHub signs deliveries: an
+ * `sha256=<hex HMAC-SHA256 of the raw body>` header computed with a shared secret
+ * (X-Hub-Signature-256 for GitHub, X-Jules-Signature-256 for /webhooks/jules).
+ * Configure the GitHub webhook with content type application/json and the
+ * "Pull requests", "Pull request reviews" and "Check runs" events.
+ *
+ * GitHub events are reduced to the few the bot reports back to Discord, keyed by
+ * the pull request URL recorded from the session's `outputs` activity.
+ */
+
+// Check run conclusions reported as a CI failure
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'startup_failure'];
+
+function verifySignature(secret, rawBody, header) {
+    if (!secret || !rawBody || !header) return false;
+    const [algorithm, signature] = header.split('=');
+    if (algorithm !== 'sha256' || !/^[0-9a-f]{64}$/i.test(signature || '')) return false;
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), expected);
+}
+
+function signPayload(secret, rawBody) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+// "https://github.com/Owner/Repo/pull/12/" and ".../pull/12/files" -> "https://github.com/owner/repo/pull/12"
+function normalizePullRequestUrl(url) {
+    const match = String(url || '').match(/^https?:\/\/([^/]+)\/([^/]+)\/([^/]+)\/pull\/(\d+)/i);
+    if (!match) return null;
+    const [, host, owner, repo, number] = match;
+    return `https://${host.toLowerCase()}/${owner.toLowerCase()}/${repo.toLowerCase()}/pull/${number}`;
+}
+
+/**
+ * Maps a GitHub delivery to a bot event, or null when there is nothing to report.
+ * @param {string} eventName X-GitHub-Event header
+ * @param {object} payload
+ * @returns {{ type: string, pullRequestUrls: string[], [key: string]: any } | null}
+ *          type is prOpened, prMerged, prClosed, ciFailed or reviewPosted
+ */
+function parseGithubEvent(eventName, payload) {
+    if (eventName === 'pull_request') {
+        const pr = payload.pull_request;
+        const base = { pullRequestUrls: [pr.html_url], title: pr.title, url: pr.html_url };
+        if (payload.action === 'opened') return { type: 'prOpened', ...base };
+        if (payload.action === 'closed') return { type: pr.merged ? 'prMerged' : 'prClosed', ...base };
+        return null;
+    }
+
+    if (eventName === 'check_run') {
+        const run = payload.check_run;
+        if (payload.action !== 'completed' || !FAILED_CONCLUSIONS.includes(run.conclusion)) return null;
+        const repo = payload.repository.full_name;
+        const output = run.output || {};
+        return {
+            type: 'ciFailed',
+            pullRequestUrls: (run.pull_requests || []).map(pr => `https://github.com/${repo}/pull/${pr.number}`),
+            name: run.name,
+            conclusion: run.conclusion,
+            url: run.details_url || run.html_url,
+            summary: [output.title, output.summary].filter(Boolean).join('\n')
+        };
+    }
+
+    if (eventName === 'pull_request_review') {
+        if (payload.action !== 'submitted') return null;
+        const review = payload.review;
+        return {
+            type: 'reviewPosted',
+            pullRequestUrls: [payload.pull_request.html_url],
+            user: review.user ? review.user.login : 'someone',
+            state: review.state,
+            url: review.html_url,
+            body: review.body || ''
+        };
+    }
+
+    return null;
+}
+
+module.exports = { verifySignature, signPayload, normalizePullRequestUrl, parseGithubEvent };